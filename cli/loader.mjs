@@ -0,0 +1,36 @@
+// Module hooks that let Node load the app's src/ modules as they are written
+// for the bundler: ES modules in .js files, imported without an extension.
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { existsSync } from 'node:fs';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+// Packages whose CommonJS entry hides exports the bundler's ES module entry
+// has: Node's named-export detection misses XLSX.SSF in xlsx.js
+const ES_MODULE_ENTRIES = {
+  xlsx: 'xlsx/xlsx.mjs'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+
+  if (isRelative && context.parentURL && context.parentURL.startsWith(SRC_URL)) {
+    const url = new URL(specifier, context.parentURL);
+    const path = fileURLToPath(url);
+    const candidate = existsSync(path) ? path : `${path}.js`;
+
+    if (existsSync(candidate)) {
+      return { url: pathToFileURL(candidate).href, format: 'module', shortCircuit: true };
+    }
+  }
+
+  if (ES_MODULE_ENTRIES[specifier] && context.parentURL && context.parentURL.startsWith(SRC_URL)) {
+    return nextResolve(ES_MODULE_ENTRIES[specifier], context);
+  }
+
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url.startsWith(SRC_URL)) {
+    return { ...resolved, format: 'module' };
+  }
+  return resolved;
+}
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// Command-line reconciliation: reads remittance and submission files from
+// disk, runs the same pipeline as the web app and writes the result workbooks.
+//
+//   node cli/reconcile.mjs --remittance ra.xlsx [--remittance ra2.xml] \
+//     --submission claims.xlsx --out results/
+//
+// Exit codes: 0 on success, 1 when the run fails, 2 on invalid arguments.
+import { register } from 'node:module';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+register('./loader.mjs', import.meta.url);
+
+const USAGE = `Usage: node cli/reconcile.mjs --remittance <file> [--remittance <file> ...] --submission <file> [options]
+
+Options:
+  --out <dir>                    Folder for the result workbooks (default: current folder)
+  --format <xlsx|csv>            File format of the result lists; the report is always xlsx
+                                 (default: xlsx)
+  --date-format <format>         Display format of date columns: dd/mm/yyyy, dd/mm/yyyy hh:mm,
+                                 dd-mmm-yyyy or yyyy-mm-dd (default: dd/mm/yyyy)
+  --level <claim|activity>       Reconcile claim totals or activity lines (default: claim)
+  --amount-format <auto|dot|comma>  Decimal separator of text amounts (default: auto)
+  --decimals <n>                 Currency decimal places (default: 2)
+  --tolerance <amount>           Rounding tolerance for payment status (default: 0.01)
+  --duplicates <allocate|aggregate>  Submission rows sharing a claim ID: split the payment
+                                 across them or merge them into one claim (default: allocate)
+  --remittance-sheet <name>      Remittance sheet to read, repeatable (default: first sheet)
+  --submission-sheet <name>      Submission sheet to read, repeatable (default: first sheet)
+  --remittance-id <column>       Override detected columns; likewise --remittance-amount,
+                                 --remittance-reference, --remittance-line, --denial-code,
+                                 --denial-comment, --submission-id, --submission-amount,
+                                 --submission-line
+  --verbose                      Print processing details
+  --help                         Show this message`;
+
+// Command-line flags for each column mapping key
+const COLUMN_OPTIONS = {
+  'remittance-id': 'remittanceIdField',
+  'remittance-amount': 'remittanceAmtField',
+  'remittance-reference': 'remittanceReferenceField',
+  'remittance-line': 'remittanceLineField',
+  'denial-code': 'remittanceDenialCodeField',
+  'denial-comment': 'remittanceDenialCommentField',
+  'submission-id': 'submissionIdField',
+  'submission-amount': 'submissionAmtField',
+  'submission-line': 'submissionLineField'
+};
+
+// Data check issues printed before the rest are summarised
+const MAX_LISTED_ISSUES = 20;
+
+class UsageError extends Error {}
+
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      'remittance': { type: 'string', multiple: true },
+      'submission': { type: 'string' },
+      'out': { type: 'string', default: '.' },
+      'format': { type: 'string', default: 'xlsx' },
+      'date-format': { type: 'string', default: 'dd/mm/yyyy' },
+      'level': { type: 'string', default: 'claim' },
+      'amount-format': { type: 'string', default: 'auto' },
+      'decimals': { type: 'string', default: '2' },
+      'tolerance': { type: 'string', default: '0.01' },
+      'duplicates': { type: 'string', default: 'allocate' },
+      'remittance-sheet': { type: 'string', multiple: true },
+      'submission-sheet': { type: 'string', multiple: true },
+      'verbose': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+      ...Object.fromEntries(Object.keys(COLUMN_OPTIONS).map(name => [name, { type: 'string' }]))
+    }
+  });
+
+  if (values.help) return values;
+
+  if (!values.remittance || !values.submission) {
+    throw new UsageError('Both --remittance and --submission are required');
+  }
+  if (!['claim', 'activity'].includes(values.level)) {
+    throw new UsageError(`Unknown --level "${values.level}"`);
+  }
+  if (!['xlsx', 'csv'].includes(values.format)) {
+    throw new UsageError(`Unknown --format "${values.format}"`);
+  }
+  if (!['auto', 'dot', 'comma'].includes(values['amount-format'])) {
+    throw new UsageError(`Unknown --amount-format "${values['amount-format']}"`);
+  }
+  if (!['allocate', 'aggregate'].includes(values.duplicates)) {
+    throw new UsageError(`Unknown --duplicates "${values.duplicates}"`);
+  }
+  if (!/^\d$/.test(values.decimals)) {
+    throw new UsageError('--decimals must be a whole number from 0 to 9');
+  }
+  if (!(Number(values.tolerance) >= 0)) {
+    throw new UsageError('--tolerance must be a non-negative number');
+  }
+
+  return values;
+};
+
+const run = async (options) => {
+  // src/ modules load through the hooks registered above
+  const {
+    readInputBuffer,
+    buildExcelWorkbook,
+    buildReconciliationReport,
+    buildCsvText
+  } = await import('../src/excelUtils.js');
+  const { readRunFiles, reconcileRun, guessColumnMapping } = await import('../src/reconciliation.js');
+  const { DEFAULT_FORMAT_RULES } = await import('../src/formatRules.js');
+  const { DATE_FORMATS } = await import('../src/dates.js');
+  const { validateRun, hasValidationErrors } = await import('../src/validation.js');
+
+  if (!DATE_FORMATS.some(format => format.value === options['date-format'])) {
+    throw new UsageError(`Unknown --date-format "${options['date-format']}"`);
+  }
+
+  const activityLevel = options.level === 'activity';
+  const currencyDecimals = Number(options.decimals);
+
+  const setDebugInfo = (update) => {
+    if (options.verbose) process.stderr.write(update(''));
+  };
+  let lastPhase = '';
+  const onProgress = ({ phase }) => {
+    if (phase !== lastPhase) {
+      lastPhase = phase;
+      process.stderr.write(`${phase}...\n`);
+    }
+  };
+
+  const loadSource = async (path) => ({ name: basename(path), buffer: await readFile(path) });
+  const readSource = (source, debug, readOptions) => readInputBuffer(source.buffer, source.name, debug, readOptions);
+
+  const remittanceSheets = options['remittance-sheet'];
+  const runFiles = await readRunFiles({
+    remittanceFiles: await Promise.all(options.remittance.map(async path => ({
+      file: await loadSource(path),
+      sheetNames: remittanceSheets
+    }))),
+    submissionFile: await loadSource(options.submission),
+    submissionSheetNames: options['submission-sheet'],
+    activityLevel
+  }, setDebugInfo, onProgress, readSource);
+
+  // Detected columns, with any overrides from the command line
+  const mapping = guessColumnMapping(runFiles.remittanceHeaders, runFiles.submissionHeaders);
+  Object.entries(COLUMN_OPTIONS).forEach(([name, key]) => {
+    if (options[name] !== undefined) mapping[key] = options[name];
+  });
+
+  const dateFormat = options['date-format'];
+  const formatOptions = {
+    formatRules: DEFAULT_FORMAT_RULES,
+    amountField: mapping.submissionAmtField,
+    currencyDecimals,
+    dateFormat
+  };
+
+  await mkdir(options.out, { recursive: true });
+  const written = [];
+  const save = async (workbook, filename) => {
+    const path = join(options.out, filename);
+    await workbook.xlsx.writeFile(path);
+    written.push(path);
+  };
+  // A result list in the chosen format, as a CSV file or a workbook
+  const saveRows = async (rows, filename, sheetName, extraSheets = []) => {
+    if (options.format === 'csv') {
+      const path = join(options.out, filename.replace(/\.xlsx$/, '.csv'));
+      await writeFile(path, buildCsvText(rows, dateFormat));
+      written.push(path);
+    } else {
+      await save(await buildExcelWorkbook(rows, sheetName, extraSheets, formatOptions), filename);
+    }
+  };
+
+  // Same data checks as the web app: errors stop the run, warnings are listed
+  const issues = validateRun(runFiles, mapping, {
+    activityLevel,
+    amountFormat: options['amount-format'],
+    submissionFileName: basename(options.submission)
+  });
+  issues.slice(0, MAX_LISTED_ISSUES).forEach(item => {
+    const sheet = item['Sheet'] ? ` [${item['Sheet']}]` : '';
+    const row = item['Row'] ? ` row ${item['Row']}` : '';
+    const value = item['Value'] ? ` ("${item['Value']}")` : '';
+    process.stderr.write(`${item['Severity']}: ${item['File']}${sheet}${row}: ${item['Issue']}${value}\n`);
+  });
+  if (issues.length > MAX_LISTED_ISSUES) {
+    process.stderr.write(`... and ${issues.length - MAX_LISTED_ISSUES} more issues, listed in data_checks\n`);
+  }
+  if (hasValidationErrors(issues)) {
+    process.stderr.write(`Remittance columns: ${runFiles.remittanceHeaders.join(', ')}\n`);
+    process.stderr.write(`Submission columns: ${runFiles.submissionHeaders.join(', ')}\n`);
+    // The full list is still written, as the summary above promises
+    await saveRows(issues, 'data_checks.xlsx', 'Data Checks');
+    written.forEach(path => process.stderr.write(`Wrote ${path}\n`));
+    throw new Error('The files failed the data checks; fix the errors listed in data_checks or choose other columns');
+  }
+
+  const result = reconcileRun(runFiles, mapping, {
+    activityLevel,
+    amountFormat: options['amount-format'],
+    statusTolerance: Number(options.tolerance),
+    currencyDecimals,
+    duplicateSubmissions: options.duplicates
+  }, setDebugInfo, onProgress);
+
+  await save(await buildReconciliationReport({
+    matched: result.matchedRows,
+    unmatched: result.unmatchedRows,
+    orphans: result.orphanRows,
+    submissionAmtField: mapping.submissionAmtField,
+    remittanceAmtField: mapping.remittanceAmtField,
+    formatRules: DEFAULT_FORMAT_RULES,
+    currencyDecimals,
+    dateFormat,
+    extraSheets: [
+      { sheetName: 'Denial Breakdown', data: result.denialRows },
+      { sheetName: 'Claim Summary', data: result.claimRows }
+    ]
+  }), 'reconciliation_report.xlsx');
+
+  // Same workbooks as the download buttons of the web app, when not empty
+  const outputs = [
+    [result.matchedRows, 'matched_records.xlsx', 'Matched Records', [{ sheetName: 'Denial Breakdown', data: result.denialRows }]],
+    [result.unmatchedRows, 'unmatched_records.xlsx', 'Unmatched Records'],
+    [result.orphanRows, 'orphan_remittances.xlsx', 'Orphan Remittances'],
+    [result.claimRows, 'claim_summary.xlsx', 'Claim Summary'],
+    [result.suggestions, 'possible_matches.xlsx', 'Possible Matches'],
+    [result.duplicateRows, 'duplicate_payments.xlsx', 'Duplicate Payments'],
+    [result.duplicateSubmissionRows, 'duplicate_claim_ids.xlsx', 'Duplicate Claim IDs'],
+    [result.unparsedAmounts, 'unparsed_amounts.xlsx', 'Unparsed Amounts'],
+    [issues, 'data_checks.xlsx', 'Data Checks']
+  ];
+  for (const [rows, filename, sheetName, extraSheets = []] of outputs) {
+    if (!rows || rows.length === 0) continue;
+    await saveRows(rows, filename, sheetName, extraSheets);
+  }
+
+  console.log(
+    `Matched ${result.matchedRows.length} and left ${result.unmatchedRows.length} unmatched of ` +
+    `${result.submissionRowCount} submission rows; ${result.orphanRows.length} orphan remittance rows.`
+  );
+  if (result.duplicateSubmissionRows.length > 0) {
+    console.warn(
+      `Warning: ${result.duplicateSubmissionRows.length} submission rows share a claim ID ` +
+      `(${options.duplicates === 'aggregate' ? 'merged' : 'payment split across them'}); see duplicate_claim_ids.`
+    );
+  }
+  written.forEach(path => console.log(`Wrote ${path}`));
+};
+
+try {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+  } else {
+    await run(options);
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+    console.error(USAGE);
+    process.exitCode = 2;
+  } else {
+    process.exitCode = 1;
+  }
+}
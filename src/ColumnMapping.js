@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import NormalizationRules from './NormalizationRules';
+import { DEFAULT_NORMALIZATION } from './idNormalization';
+
+// Columns the matcher needs from each file
+const MAPPING_FIELDS = [
+  { key: 'remittanceIdField', label: 'Remittance ID column', source: 'remittance' },
+  { key: 'remittanceAmtField', label: 'Remittance amount column', source: 'remittance' },
+  { key: 'remittanceReferenceField', label: 'Payment reference column (duplicate check)', source: 'remittance', optional: true },
+  { key: 'remittanceDenialCodeField', label: 'Denial code column', source: 'remittance', optional: true },
+  { key: 'remittanceDenialCommentField', label: 'Denial comment column', source: 'remittance', optional: true },
+  { key: 'submissionIdField', label: 'Submission ID column', source: 'submission' },
+  { key: 'submissionAmtField', label: 'Submission amount column', source: 'submission' },
+  { key: 'remittanceLineField', label: 'Remittance activity ID / service code column', source: 'remittance', activityOnly: true },
+  { key: 'submissionLineField', label: 'Submission activity ID / service code column', source: 'submission', activityOnly: true }
+];
+
+export default function ColumnMapping({
+  remittanceHeaders,
+  submissionHeaders,
+  mapping,
+  activityLevel,
+  onMappingChange,
+  profiles,
+  appliedProfileName,
+  onApplyProfile,
+  onSaveProfile,
+  onDeleteProfile,
+  onConfirm,
+  onCancel,
+  blocked
+}) {
+  const [profileName, setProfileName] = useState(appliedProfileName || '');
+
+  const headersFor = (source) => source === 'remittance' ? remittanceHeaders : submissionHeaders;
+
+  // Line identifiers are only needed when reconciling activity by activity
+  const fields = MAPPING_FIELDS.filter(field => activityLevel || !field.activityOnly);
+
+  const isComplete = fields.every(field =>
+    (field.optional && !mapping[field.key]) || headersFor(field.source).includes(mapping[field.key])
+  );
+
+  const handleSave = () => {
+    const name = profileName.trim();
+    if (name) {
+      onSaveProfile(name);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-blue-200 rounded-lg bg-blue-50">
+      <h2 className="text-lg font-semibold mb-2">Confirm Column Mapping</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {appliedProfileName
+          ? `Applied saved profile "${appliedProfileName}". Check the columns below or override them.`
+          : 'Check the detected columns below or override them before matching.'}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {fields.map(field => (
+          <label key={field.key} className="block text-sm">
+            <span className="font-medium text-gray-700">{field.label}</span>
+            <select
+              value={headersFor(field.source).includes(mapping[field.key]) ? mapping[field.key] : ''}
+              onChange={(e) => onMappingChange({ ...mapping, [field.key]: e.target.value })}
+              className="mt-1 block w-full rounded-md border border-gray-300 bg-white px-2 py-1"
+            >
+              <option value="">{field.optional ? '-- None --' : '-- Select column --'}</option>
+              {headersFor(field.source).map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <NormalizationRules
+        rules={mapping.normalization || DEFAULT_NORMALIZATION}
+        onChange={(normalization) => onMappingChange({ ...mapping, normalization })}
+      />
+
+      <div className="flex flex-wrap items-end gap-2 mb-4">
+        {profiles.length > 0 && (
+          <label className="block text-sm">
+            <span className="font-medium text-gray-700">Saved profiles</span>
+            <select
+              value=""
+              onChange={(e) => {
+                if (e.target.value) {
+                  onApplyProfile(e.target.value);
+                  setProfileName(e.target.value);
+                }
+              }}
+              className="mt-1 block rounded-md border border-gray-300 bg-white px-2 py-1"
+            >
+              <option value="">-- Apply profile --</option>
+              {profiles.map(profile => (
+                <option key={profile.name} value={profile.name}>{profile.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="block text-sm">
+          <span className="font-medium text-gray-700">Profile name (e.g. payer)</span>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            className="mt-1 block rounded-md border border-gray-300 px-2 py-1"
+          />
+        </label>
+        <button
+          onClick={handleSave}
+          disabled={!profileName.trim() || !isComplete}
+          className="px-3 py-1 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Save Profile
+        </button>
+        {profiles.some(profile => profile.name === profileName.trim()) && (
+          <button
+            onClick={() => onDeleteProfile(profileName.trim())}
+            className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+          >
+            Delete Profile
+          </button>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={!isComplete || blocked}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Match with this Mapping
+        </button>
+      </div>
+    </div>
+  );
+}
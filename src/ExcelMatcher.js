@@ -1,40 +1,275 @@
-import { useState } from 'react';
-import { readExcelFile, downloadExcelFile } from './excelUtils';
+import { useState, useRef, useMemo, useEffect } from 'react';
 import { 
-  processMatchedData, 
-  createRemittanceMapping, 
-  findMatchingRecords, 
-  identifyColumns 
+  detectFileType, 
+  downloadExcelFile, 
+  downloadReconciliationReport, 
+  downloadTextFile, 
+  EXPORT_FORMATS, 
+  FILE_TYPE_LABELS, 
+  SUPPORTED_FILE_TYPES, 
+  SUPPORTED_FILE_EXTENSIONS 
+} from './excelUtils';
+import { 
+  DEFAULT_STATUS_TOLERANCE, 
+  DUPLICATE_SUBMISSION_HANDLINGS, 
+  DEFAULT_DUPLICATE_SUBMISSION_HANDLING 
 } from './dataProcessor';
+import { 
+  loadMappingProfiles, 
+  saveMappingProfile, 
+  deleteMappingProfile, 
+  findMappingProfile, 
+  applyMappingProfile 
+} from './mappingProfiles';
+import ColumnMapping from './ColumnMapping';
+import ValidationReport from './ValidationReport';
+import SheetPicker from './SheetPicker';
+import HeaderPreview from './HeaderPreview';
+import PreviewTable from './PreviewTable';
+import StatusFilter from './StatusFilter';
+import ResultsGrid from './ResultsGrid';
+import ResubmissionPanel from './ResubmissionPanel';
+import HistoryPanel from './HistoryPanel';
+import RunComparisonPanel from './RunComparisonPanel';
+import { validateRun, hasValidationErrors } from './validation';
+import { runTotals, saveRun, listRuns, loadRunResults, deleteRun } from './runHistory';
+import { compareRuns, summarizeComparison } from './runComparison';
+import { findResubmissionCandidates, buildResubmissionXml, buildResubmissionWorklist, withClaimActivities } from './resubmission';
+import FormatRulesEditor from './FormatRulesEditor';
+import { loadFormatRules, saveFormatRules } from './formatRules';
+import {
+  AMOUNT_FORMATS,
+  CURRENCY_PRECISIONS,
+  DEFAULT_CURRENCY_DECIMALS,
+  fromMinorUnits
+} from './money';
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT } from './dates';
+import { startReconciliationTask, CANCELLED_ERROR } from './reconciliationTask';
+import { guessColumnMapping } from './reconciliation';
+
+// Detected file types that are read through the workbook reader
+const WORKBOOK_FILE_TYPES = ['xlsx', 'xls', 'spreadsheet-xml'];
+
+// Detected file types with a header row to preview
+const HEADER_FILE_TYPES = [...WORKBOOK_FILE_TYPES, 'csv'];
 
 export default function ExcelMatcher() {
-  const [remittanceFile, setRemittanceFile] = useState(null);
+  // Each remittance upload is a batch: { file, sheets, headerPreview, header }
+  const [remittanceFiles, setRemittanceFiles] = useState([]);
   const [submissionFile, setSubmissionFile] = useState(null);
+  // Sheet summaries and selection for multi-sheet workbooks
+  const [submissionSheets, setSubmissionSheets] = useState(null);
+  // Header preview of the submission file and the header row chosen in it
+  const [submissionHeaderPreview, setSubmissionHeaderPreview] = useState(null);
+  const [submissionHeader, setSubmissionHeader] = useState(null);
   const [matchedData, setMatchedData] = useState(null);
   const [unmatchedData, setUnmatchedData] = useState(null);
+  const [orphanData, setOrphanData] = useState(null);
+  // Amount columns used by the last run, needed for report formulas
+  const [resultColumns, setResultColumns] = useState(null);
+  // Submission file of the shown run, read again for the activities of a
+  // claim-level resubmission; runs reopened from the history have none
+  const [resultSubmissionFile, setResultSubmissionFile] = useState(null);
+  // Bumped on every run so per-run panels start fresh
+  const [resultVersion, setResultVersion] = useState(0);
+  const [duplicatePayments, setDuplicatePayments] = useState(null);
+  // 'claim' compares claim totals, 'activity' matches claim ID plus activity ID / service code
+  const [reconcileLevel, setReconcileLevel] = useState('claim');
+  const [claimSummary, setClaimSummary] = useState(null);
+  // Differences up to this amount count as rounding when classifying payments
+  const [statusTolerance, setStatusTolerance] = useState(DEFAULT_STATUS_TOLERANCE);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formatRules, setFormatRules] = useState(loadFormatRules);
+  // Decimal/thousands convention of text amounts, 'auto' detects it per cell
+  const [amountFormat, setAmountFormat] = useState('auto');
+  const [amountIssues, setAmountIssues] = useState(null);
+  // Submission rows that share an ID, and whether they are merged or share the payment
+  const [duplicateSubmissions, setDuplicateSubmissions] = useState(null);
+  const [duplicateHandling, setDuplicateHandling] = useState(DEFAULT_DUPLICATE_SUBMISSION_HANDLING);
+  // Decimal places of the currency; sums are exact in these minor units
+  const [currencyDecimals, setCurrencyDecimals] = useState(DEFAULT_CURRENCY_DECIMALS);
+  // File format of the single-sheet downloads; the report stays a workbook
+  const [exportFormat, setExportFormat] = useState('xlsx');
+  // Display format of date columns, on screen and in downloads
+  const [dateFormat, setDateFormat] = useState(DEFAULT_DATE_FORMAT);
+  const [possibleMatches, setPossibleMatches] = useState(null);
+  const [denialBreakdown, setDenialBreakdown] = useState(null);
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState('');
   const [error, setError] = useState('');
-  const [debugInfo, setDebugInfo] = useState('');
+  const [debugInfo, setDebugInfoState] = useState('');
+  // Latest debug log, readable as soon as a task finishes so it can be saved with the run
+  const debugLog = useRef('');
+  const setDebugInfo = (update) => {
+    debugLog.current = typeof update === 'function' ? update(debugLog.current) : update;
+    setDebugInfoState(debugLog.current);
+  };
+  // Files read but waiting for the user to confirm the column mapping
+  const [pendingRun, setPendingRun] = useState(null);
+  // Names and hashes of the files read into pendingRun, for the run history
+  const [pendingInputs, setPendingInputs] = useState(null);
+  const [historyRuns, setHistoryRuns] = useState([]);
+  // Claim changes between two saved runs
+  const [runComparison, setRunComparison] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [mappingProfiles, setMappingProfiles] = useState(loadMappingProfiles);
+  const [appliedProfileName, setAppliedProfileName] = useState('');
+  // Phase and rows parsed of the background task, and the task to cancel
+  const [progress, setProgress] = useState(null);
+  const runningTask = useRef(null);
 
-  const handleRemittanceUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setRemittanceFile(file);
-      setStatus(`Remittance file "${file.name}" selected`);
+  useEffect(() => {
+    listRuns()
+      .then(setHistoryRuns)
+      .catch(err => console.error('Error loading run history:', err));
+  }, []);
+
+  // Run a pipeline task in the background worker, one at a time
+  const runTask = async (task, payload) => {
+    const handle = startReconciliationTask(task, payload, { setDebugInfo, onProgress: setProgress });
+    runningTask.current = handle;
+    try {
+      return await handle.promise;
+    } finally {
+      runningTask.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancelTask = () => {
+    if (runningTask.current) {
+      runningTask.current.cancel();
+    }
+  };
+
+  // Check the file content against the readers available for this report;
+  // problem describes a file none of them can read
+  const checkFileType = async (file, role) => {
+    const fileType = await detectFileType(file);
+    const problem = SUPPORTED_FILE_TYPES[role].includes(fileType)
+      ? null
+      : `"${file.name}" is not a supported ${role} file (detected ${FILE_TYPE_LABELS[fileType]})`;
+    return { fileType, problem };
+  };
+
+  // Only workbooks with more than one sheet need a sheet picker
+  const inspectSheets = async (file, fileType) => {
+    if (!WORKBOOK_FILE_TYPES.includes(fileType)) return null;
+    setProgress({ phase: `Listing sheets of ${file.name}` });
+    const sheets = await runTask('inspect', { file });
+    return sheets.length > 1 ? { sheets, selected: [sheets[0].name] } : null;
+  };
+
+  // First rows of the sheet (the first one by default) for choosing the header row
+  const loadHeaderPreview = async (file, sheetName) => {
+    setProgress({ phase: `Previewing ${file.name}` });
+    return runTask('preview', { file, sheetName });
+  };
+
+  const handleRemittanceUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    // Clear the input so the same file can be picked again after removing it
+    e.target.value = '';
+    
+    // Files that cannot be read are skipped and listed once all are added
+    const skipped = [];
+    setError('');
+    
+    for (const file of files) {
+      try {
+        const { fileType, problem } = await checkFileType(file, 'remittance');
+        if (problem) {
+          skipped.push(problem);
+          continue;
+        }
+        const sheets = await inspectSheets(file, fileType);
+        const headerPreview = HEADER_FILE_TYPES.includes(fileType) ? await loadHeaderPreview(file) : null;
+        setRemittanceFiles(prev => [...prev, { file, sheets, headerPreview, header: null }]);
+        setStatus(`Remittance file "${file.name}" added (${FILE_TYPE_LABELS[fileType]}${sheets ? `, ${sheets.sheets.length} sheets` : ''})`);
+      } catch (err) {
+        if (err.name === CANCELLED_ERROR) {
+          setStatus(`Reading "${file.name}" cancelled.`);
+          break;
+        }
+        console.error('Error reading file:', err);
+        skipped.push(`Error reading "${file.name}": ${err.message}`);
+      }
+    }
+    
+    if (skipped.length > 0) {
+      setError(`Skipped ${skipped.length} of ${files.length} files: ${skipped.join('; ')}`);
+    }
+  };
+
+  const removeRemittanceFile = (index) => {
+    setRemittanceFiles(prev => prev.filter((_, fileIndex) => fileIndex !== index));
+  };
+
+  const updateRemittanceFile = (index, changes) => {
+    setRemittanceFiles(prev => prev.map((entry, fileIndex) => 
+      fileIndex === index ? { ...entry, ...changes } : entry
+    ));
+  };
+
+  // The header preview follows the first selected sheet
+  const previewSelectedSheet = async (file, headerPreview, selected) => {
+    if (selected.length === 0 || (headerPreview && headerPreview.sheetName === selected[0])) return undefined;
+    try {
+      return await loadHeaderPreview(file, selected[0]);
+    } catch (err) {
+      setError(`Error previewing "${file.name}": ${err.message}`);
+      return null;
+    }
+  };
+
+  const selectRemittanceSheets = async (index, selected) => {
+    const { file, sheets, headerPreview } = remittanceFiles[index];
+    updateRemittanceFile(index, { sheets: { ...sheets, selected } });
+    const nextPreview = await previewSelectedSheet(file, headerPreview, selected);
+    if (nextPreview !== undefined) {
+      updateRemittanceFile(index, { headerPreview: nextPreview, header: null });
     }
   };
 
-  const handleSubmissionUpload = (e) => {
+  const selectSubmissionSheets = async (selected) => {
+    setSubmissionSheets({ ...submissionSheets, selected });
+    const nextPreview = await previewSelectedSheet(submissionFile, submissionHeaderPreview, selected);
+    if (nextPreview !== undefined) {
+      setSubmissionHeaderPreview(nextPreview);
+      setSubmissionHeader(null);
+    }
+  };
+
+  const handleSubmissionUpload = async (e) => {
     const file = e.target.files[0];
     if (file) {
-      setSubmissionFile(file);
-      setStatus(`Submission file "${file.name}" selected`);
+      try {
+        const { fileType, problem } = await checkFileType(file, 'submission');
+        if (problem) {
+          setError(problem);
+          return;
+        }
+        setError('');
+        const sheets = await inspectSheets(file, fileType);
+        const headerPreview = HEADER_FILE_TYPES.includes(fileType) ? await loadHeaderPreview(file) : null;
+        setSubmissionFile(file);
+        setSubmissionSheets(sheets);
+        setSubmissionHeaderPreview(headerPreview);
+        setSubmissionHeader(null);
+        setStatus(`Submission file "${file.name}" selected (${FILE_TYPE_LABELS[fileType]}${sheets ? `, ${sheets.sheets.length} sheets` : ''})`);
+      } catch (err) {
+        if (err.name === CANCELLED_ERROR) {
+          setStatus(`Reading "${file.name}" cancelled.`);
+          return;
+        }
+        console.error('Error reading file:', err);
+        setError(`Error reading "${file.name}": ${err.message}`);
+      }
     }
   };
 
   const processFiles = async () => {
-    if (!remittanceFile || !submissionFile) {
+    if (remittanceFiles.length === 0 || !submissionFile) {
       setError('Please upload both files');
       return;
     }
@@ -43,69 +278,131 @@ export default function ExcelMatcher() {
     setError('');
     setStatus('Processing files...');
     setDebugInfo('');
+    setPendingRun(null);
 
     try {
-      // Read remittance file
-      const remittanceData = await readExcelFile(remittanceFile, setDebugInfo);
-      setStatus('Remittance file processed. Processing submission file...');
-      
-      // Read submission file
-      const submissionData = await readExcelFile(submissionFile, setDebugInfo);
-      setStatus('Both files processed. Matching IDs...');
-      
-      // Log some debug info
-      setDebugInfo(prev => prev + `Remittance data: ${remittanceData.length} rows\n`);
-      setDebugInfo(prev => prev + `Submission data: ${submissionData.length} rows\n`);
-      
-      // Find headers
-      const remittanceHeaders = Object.keys(remittanceData[0]);
-      const submissionHeaders = Object.keys(submissionData[0]);
+      // Parsing runs in the background worker so the page stays responsive
+      const { 
+        remittanceData, 
+        submissionData, 
+        remittanceHeaders, 
+        submissionHeaders, 
+        headerRows, 
+        rowNumbers, 
+        inputs 
+      } = await runTask('read', {
+        remittanceFiles: remittanceFiles.map(({ file, sheets, header }) => ({ 
+          file, 
+          sheetNames: sheets && sheets.selected, 
+          header 
+        })),
+        submissionFile,
+        submissionSheetNames: submissionSheets && submissionSheets.selected,
+        submissionHeader,
+        activityLevel: reconcileLevel === 'activity'
+      });
+      setStatus('Both files processed. Detecting columns...');
       
-      setDebugInfo(prev => prev + `Remittance headers: ${remittanceHeaders.join(', ')}\n`);
-      setDebugInfo(prev => prev + `Submission headers: ${submissionHeaders.join(', ')}\n`);
+      setPendingInputs(inputs);
       
-      // Identify columns
-      const { amtFieldName, idField: remittanceIdField } = identifyColumns(remittanceHeaders, 'remittance');
-      const { idField: submissionIdField } = identifyColumns(submissionHeaders, 'submission');
+      // Guess the columns, then prefer a saved profile for this remittance layout
+      let mapping = guessColumnMapping(remittanceHeaders, submissionHeaders);
       
-      setDebugInfo(prev => prev + `Amount field in remittance file: ${amtFieldName}\n`);
-      setDebugInfo(prev => prev + `Using remittance ID field: ${remittanceIdField}\n`);
-      setDebugInfo(prev => prev + `Using submission ID field: ${submissionIdField}\n`);
+      const profile = findMappingProfile(mappingProfiles, remittanceHeaders);
+      if (profile) {
+        mapping = applyMappingProfile(profile, remittanceHeaders, submissionHeaders, mapping);
+        setDebugInfo(prev => prev + `Applied mapping profile "${profile.name}"\n`);
+      }
       
-      setStatus(`Matching "${submissionIdField}" from submission file with "${remittanceIdField}" from remittance file...`);
+      setAppliedProfileName(profile ? profile.name : '');
+      setColumnMapping(mapping);
+      setPendingRun({ remittanceData, submissionData, remittanceHeaders, submissionHeaders, headerRows, rowNumbers });
+      setStatus('Both files processed. Confirm the column mapping to continue.');
+    } catch (err) {
+      if (err.name === CANCELLED_ERROR) {
+        setStatus('Run cancelled.');
+        return;
+      }
+      console.error('Error processing files:', err);
+      setError(`Error processing files: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Create remittance mapping
-      const { remittanceAmtSumByID } = createRemittanceMapping(
-        remittanceData, 
-        remittanceIdField, 
-        amtFieldName
-      );
+  // Data checks of the read files under the mapping being confirmed
+  const validationIssues = useMemo(() => (
+    pendingRun && columnMapping
+      ? validateRun(pendingRun, columnMapping, {
+        activityLevel: reconcileLevel === 'activity',
+        amountFormat,
+        submissionFileName: pendingInputs ? pendingInputs.submissionFile.name : undefined
+      })
+      : null
+  ), [pendingRun, columnMapping, reconcileLevel, amountFormat, pendingInputs]);
 
-      // Extract IDs from remittance file
-      const remittanceIds = new Set(remittanceData.map(row => row[remittanceIdField]));
-      setDebugInfo(prev => prev + `Unique IDs in remittance file: ${remittanceIds.size}\n`);
+  const runMatching = async () => {
+    const { submissionIdField, remittanceIdField } = columnMapping;
 
-      // Find matching and unmatched rows in submission file
-      const { matchedRows, unmatchedRows } = findMatchingRecords(
-        submissionData, 
-        remittanceIds, 
-        submissionIdField
-      );
-      
-      setDebugInfo(prev => prev + `Matched rows count: ${matchedRows.length}\n`);
-      setDebugInfo(prev => prev + `Unmatched rows count: ${unmatchedRows.length}\n`);
+    if (validationIssues && hasValidationErrors(validationIssues)) {
+      setError('Fix the data check errors before matching.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setStatus(`Matching "${submissionIdField}" from submission file with "${remittanceIdField}" from remittance file...`);
 
-      // Process matched data to add Remit Amt and Rejected Amount columns
-      const enhancedMatchedRows = processMatchedData(
+    try {
+      const result = await runTask('reconcile', {
+        run: pendingRun,
+        mapping: columnMapping,
+        options: {
+          activityLevel: reconcileLevel === 'activity',
+          amountFormat,
+          statusTolerance,
+          currencyDecimals,
+          duplicateSubmissions: duplicateHandling
+        }
+      });
+      const {
         matchedRows, 
-        submissionIdField, 
-        remittanceAmtSumByID
-      );
+        unmatchedRows, 
+        orphanRows, 
+        duplicateRows, 
+        duplicateSubmissionRows, 
+        unparsedAmounts, 
+        claimRows, 
+        submissionRowCount 
+      } = result;
 
-      setStatus(`Found ${enhancedMatchedRows.length} matching rows and ${unmatchedRows.length} unmatched rows out of ${submissionData.length} total submission rows.`);
-      setMatchedData(enhancedMatchedRows);
-      setUnmatchedData(unmatchedRows);
+      setStatus(
+        `Found ${matchedRows.length} matching rows and ${unmatchedRows.length} unmatched rows out of ${submissionRowCount} total submission rows, ` +
+        `and ${orphanRows.length} orphan remittance rows with no submission.` +
+        (claimRows ? ` Matched lines belong to ${claimRows.length} claims.` : '') +
+        (duplicateRows.length > 0 ? ` ${duplicateRows.length} duplicate payments were excluded.` : '') +
+        (duplicateSubmissionRows.length > 0 
+          ? ` ${duplicateSubmissionRows.length} submission rows share a claim ID and were ${duplicateHandling === 'aggregate' ? 'merged' : 'given a share of its payment'}.` 
+          : '') +
+        (unparsedAmounts.length > 0 ? ` ${unparsedAmounts.length} amount cells could not be parsed.` : '')
+      );
+      const columns = { 
+        submissionIdField, 
+        submissionAmtField: columnMapping.submissionAmtField, 
+        submissionLineField: reconcileLevel === 'activity' ? columnMapping.submissionLineField : undefined, 
+        remittanceAmtField: columnMapping.remittanceAmtField, 
+        currencyDecimals 
+      };
+      showResults(result, columns);
+      setResultSubmissionFile(submissionFile);
+      setPendingRun(null);
+      await recordRun(result, columns);
     } catch (err) {
+      if (err.name === CANCELLED_ERROR) {
+        // The files stay read, so the mapping can be confirmed again
+        setStatus('Matching cancelled.');
+        return;
+      }
       console.error('Error processing files:', err);
       setError(`Error processing files: ${err.message}`);
     } finally {
@@ -113,12 +410,313 @@ export default function ExcelMatcher() {
     }
   };
 
+  // Show a reconciliation result, fresh or reopened from the history
+  const showResults = (result, columns) => {
+    setMatchedData(result.matchedRows);
+    setStatusFilter('');
+    setUnmatchedData(result.unmatchedRows);
+    setOrphanData(result.orphanRows);
+    setResultColumns(columns);
+    setResultVersion(version => version + 1);
+    setDuplicatePayments(result.duplicateRows);
+    setAmountIssues(result.unparsedAmounts);
+    // Runs saved before duplicate claim IDs were checked have no such rows
+    setDuplicateSubmissions({
+      rows: result.duplicateSubmissionRows || [],
+      handling: result.duplicateSubmissionHandling
+    });
+    setClaimSummary(result.claimRows);
+    setPossibleMatches(result.suggestions);
+    setDenialBreakdown(result.denialRows);
+  };
+
+  // Save a finished run to the history; the results stay shown if that fails
+  const recordRun = async (result, columns) => {
+    try {
+      const run = await saveRun({
+        inputs: pendingInputs,
+        level: reconcileLevel,
+        mapping: columnMapping,
+        headerRows: pendingRun.headerRows,
+        options: { amountFormat, statusTolerance, currencyDecimals, duplicateSubmissions: duplicateHandling },
+        validationWarnings: validationIssues ? validationIssues.length : 0,
+        counts: {
+          submissionRows: result.submissionRowCount,
+          matched: result.matchedRows.length,
+          unmatched: result.unmatchedRows.length,
+          orphans: result.orphanRows.length,
+          duplicatePayments: result.duplicateRows.length,
+          duplicateSubmissionRows: result.duplicateSubmissionRows.length,
+          unparsedAmounts: result.unparsedAmounts.length
+        },
+        totals: runTotals(result, columns)
+      }, { result, columns, debugInfo: debugLog.current });
+      setHistoryRuns(prev => [run, ...prev]);
+    } catch (err) {
+      console.error('Error saving run history:', err);
+      setError(`The run could not be saved to the history: ${err.message}`);
+    }
+  };
+
+  const openRun = async (run) => {
+    try {
+      const { result, columns, debugInfo: savedDebugInfo } = await loadRunResults(run.id);
+      showResults(result, columns);
+      setResultSubmissionFile(null);
+      setPendingRun(null);
+      setDebugInfo(savedDebugInfo || '');
+      setError('');
+      setStatus(`Reopened the run saved ${new Date(run.savedAt).toLocaleString()}.`);
+    } catch (err) {
+      console.error('Error opening run:', err);
+      setError(`Error opening run: ${err.message}`);
+    }
+  };
+
+  const downloadRunReport = async (run) => {
+    try {
+      const { result, columns } = await loadRunResults(run.id);
+      downloadReconciliationReport(
+        reconciliationReport(result, columns), 
+        `reconciliation_report_${run.savedAt.slice(0, 10)}.xlsx`, 
+        setStatus, 
+        setError
+      );
+    } catch (err) {
+      console.error('Error opening run:', err);
+      setError(`Error opening run: ${err.message}`);
+    }
+  };
+
+  const removeRun = async (run) => {
+    try {
+      await deleteRun(run.id);
+      setHistoryRuns(prev => prev.filter(item => item.id !== run.id));
+      setRunComparison(prev => (
+        prev && (prev.previous.id === run.id || prev.current.id === run.id) ? null : prev
+      ));
+      setStatus(`Run saved ${new Date(run.savedAt).toLocaleString()} deleted.`);
+    } catch (err) {
+      setError(`Error deleting run: ${err.message}`);
+    }
+  };
+
+  const compareSavedRuns = async (previous, current) => {
+    try {
+      const [previousResults, currentResults] = await Promise.all([
+        loadRunResults(previous.id),
+        loadRunResults(current.id)
+      ]);
+      // Runs saved before ID normalization was configurable use the defaults
+      const rows = compareRuns(previousResults, currentResults, current.mapping && current.mapping.normalization);
+      setRunComparison({
+        previous,
+        current,
+        rows,
+        summary: summarizeComparison(rows, currentResults.columns.currencyDecimals),
+        currencyDecimals: currentResults.columns.currencyDecimals
+      });
+      setError('');
+      setStatus(`Compared ${rows.length} claims between the runs saved ${new Date(previous.savedAt).toLocaleString()} and ${new Date(current.savedAt).toLocaleString()}.`);
+    } catch (err) {
+      console.error('Error comparing runs:', err);
+      setError(`Error comparing runs: ${err.message}`);
+    }
+  };
+
+  const cancelMapping = () => {
+    setPendingRun(null);
+    setStatus('Column mapping cancelled.');
+  };
+
+  const handleApplyProfile = (name) => {
+    const profile = mappingProfiles.find(item => item.name === name);
+    if (profile) {
+      setColumnMapping(applyMappingProfile(
+        profile, 
+        pendingRun.remittanceHeaders, 
+        pendingRun.submissionHeaders, 
+        columnMapping
+      ));
+      setAppliedProfileName(name);
+    }
+  };
+
+  const handleSaveProfile = (name) => {
+    try {
+      setMappingProfiles(saveMappingProfile(
+        name, 
+        pendingRun.remittanceHeaders, 
+        columnMapping
+      ));
+      setAppliedProfileName(name);
+      setStatus(`Mapping profile "${name}" saved.`);
+    } catch (err) {
+      setError(`Error saving mapping profile: ${err.message}`);
+    }
+  };
+
+  const handleDeleteProfile = (name) => {
+    try {
+      setMappingProfiles(deleteMappingProfile(name));
+      if (appliedProfileName === name) {
+        setAppliedProfileName('');
+      }
+      setStatus(`Mapping profile "${name}" deleted.`);
+    } catch (err) {
+      setError(`Error deleting mapping profile: ${err.message}`);
+    }
+  };
+
+  const filteredMatchedData = matchedData && statusFilter
+    ? matchedData.filter(row => row['Payment Status'] === statusFilter)
+    : matchedData;
+
+  const handleFormatRulesChange = (rules) => {
+    setFormatRules(rules);
+    try {
+      saveFormatRules(rules);
+    } catch (err) {
+      setError(`Error saving highlight rules: ${err.message}`);
+    }
+  };
+
+  // Highlight rules and the amount column they refer to, for every export
+  const formatOptions = {
+    formatRules,
+    amountField: resultColumns ? resultColumns.submissionAmtField : 'Amt',
+    currencyDecimals: resultColumns ? resultColumns.currencyDecimals : currencyDecimals,
+    dateFormat,
+    fileFormat: exportFormat
+  };
+
   const downloadMatchedData = () => {
-    downloadExcelFile(matchedData, 'matched_records.xlsx', 'Matched Records', setStatus, setError);
+    downloadExcelFile(matchedData, 'matched_records.xlsx', 'Matched Records', setStatus, setError, [
+      { sheetName: 'Denial Breakdown', data: denialBreakdown }
+    ], formatOptions);
   };
   
+  const downloadRunComparison = () => {
+    const { rows, summary, currencyDecimals: decimals } = runComparison;
+    downloadExcelFile(rows, 'run_comparison.xlsx', 'Run Comparison', setStatus, setError, [
+      { sheetName: 'Changes by Type', data: summary }
+    ], { ...formatOptions, currencyDecimals: decimals });
+  };
+
+  // Rows of a results grid as currently filtered, sorted and with hidden columns left out
+  const exportView = (rows, filename, sheetName) => {
+    downloadExcelFile(rows, filename, sheetName, setStatus, setError, [], formatOptions);
+  };
+
+  // Claims with a rejected amount that can be resubmitted
+  const resubmissionCandidates = useMemo(() => (
+    matchedData && resultColumns
+      ? findResubmissionCandidates(matchedData, resultColumns.submissionIdField, resultColumns.currencyDecimals)
+      : []
+  ), [matchedData, resultColumns]);
+
+  const exportResubmission = async ({ claimIds, type, comment }) => {
+    const { submissionIdField, submissionAmtField, submissionLineField, currencyDecimals: decimals } = resultColumns;
+    const selectedIds = new Set(claimIds);
+    // At activity level the lines the payer did not report belong to the claim too
+    const sourceRows = submissionLineField ? [...matchedData, ...(unmatchedData || [])] : matchedData;
+    const rows = sourceRows.filter(row => selectedIds.has(String(row[submissionIdField])));
+
+    try {
+      // Claim-level rows have no activity lines to put in the XML, so they are
+      // taken from the submission file when it is Claim.Submission XML
+      let xmlRows = rows;
+      let xmlColumns = { amtField: submissionAmtField, lineField: submissionLineField };
+      if (!submissionLineField) {
+        const activities = resultSubmissionFile
+          ? await runTask('activities', { file: resultSubmissionFile })
+          : null;
+        xmlRows = activities ? withClaimActivities(rows, activities, submissionIdField) : null;
+        xmlColumns = { amtField: 'Amt', lineField: 'Activity ID' };
+      }
+      if (xmlRows) {
+        const xml = buildResubmissionXml(xmlRows, {
+          idField: submissionIdField,
+          ...xmlColumns,
+          type,
+          comment,
+          currencyDecimals: decimals
+        });
+        downloadTextFile(xml, 'resubmission.xml', 'application/xml');
+      } else {
+        setError('No resubmission XML: it needs the activities of each claim, so use a Claim.Submission XML submission file or reconcile by activity lines. The worklist was still exported.');
+      }
+      downloadExcelFile(
+        buildResubmissionWorklist(rows, { type, comment }), 
+        'resubmission_worklist.xlsx', 
+        'Resubmission Worklist', 
+        setStatus, 
+        setError, 
+        [], 
+        formatOptions
+      );
+    } catch (err) {
+      if (err.name === CANCELLED_ERROR) {
+        setStatus('Resubmission export cancelled.');
+        return;
+      }
+      console.error('Error creating resubmission:', err);
+      setError(`Error creating resubmission: ${err.message}`);
+    }
+  };
+
   const downloadUnmatchedData = () => {
-    downloadExcelFile(unmatchedData, 'unmatched_records.xlsx', 'Unmatched Records', setStatus, setError);
+    downloadExcelFile(unmatchedData, 'unmatched_records.xlsx', 'Unmatched Records', setStatus, setError, [], formatOptions);
+  };
+
+  // Report workbook contents for a result, shown or from the history
+  const reconciliationReport = (result, columns) => ({
+    matched: result.matchedRows || [],
+    unmatched: result.unmatchedRows || [],
+    orphans: result.orphanRows || [],
+    submissionAmtField: columns && columns.submissionAmtField,
+    remittanceAmtField: columns && columns.remittanceAmtField,
+    formatRules,
+    currencyDecimals: columns ? columns.currencyDecimals : currencyDecimals,
+    dateFormat,
+    extraSheets: [
+      { sheetName: 'Denial Breakdown', data: result.denialRows },
+      { sheetName: 'Claim Summary', data: result.claimRows }
+    ]
+  });
+
+  const exportReport = () => {
+    downloadReconciliationReport(reconciliationReport({
+      matchedRows: matchedData,
+      unmatchedRows: unmatchedData,
+      orphanRows: orphanData,
+      denialRows: denialBreakdown,
+      claimRows: claimSummary
+    }, resultColumns), 'reconciliation_report.xlsx', setStatus, setError);
+  };
+
+  const downloadOrphanData = () => {
+    downloadExcelFile(orphanData, 'orphan_remittances.xlsx', 'Orphan Remittances', setStatus, setError, [], formatOptions);
+  };
+
+  const downloadClaimSummary = () => {
+    downloadExcelFile(claimSummary, 'claim_summary.xlsx', 'Claim Summary', setStatus, setError, [], formatOptions);
+  };
+
+  const downloadPossibleMatches = () => {
+    downloadExcelFile(possibleMatches, 'possible_matches.xlsx', 'Possible Matches', setStatus, setError, [], formatOptions);
+  };
+
+  const downloadValidationIssues = () => {
+    downloadExcelFile(validationIssues, 'data_checks.xlsx', 'Data Checks', setStatus, setError, [], formatOptions);
+  };
+
+  const downloadDuplicateSubmissions = () => {
+    downloadExcelFile(duplicateSubmissions.rows, 'duplicate_claim_ids.xlsx', 'Duplicate Claim IDs', setStatus, setError, [], formatOptions);
+  };
+
+  const downloadDuplicatePayments = () => {
+    downloadExcelFile(duplicatePayments, 'duplicate_payments.xlsx', 'Duplicate Payments', setStatus, setError, [], formatOptions);
   };
 
   return (
@@ -134,7 +732,7 @@ export default function ExcelMatcher() {
           {/* Remittance File Upload */}
           <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 hover:border-blue-500 transition-colors">
             <h2 className="text-lg font-semibold mb-2">Remittance Report</h2>
-            <p className="text-sm text-gray-500 mb-4">Upload the Excel file containing the remittance details</p>
+            <p className="text-sm text-gray-500 mb-4">Upload one or more Excel, CSV or Remittance.Advice XML files containing the remittance details</p>
             
             <div className="flex flex-col items-center justify-center">
               <label className="flex flex-col items-center justify-center w-full cursor-pointer">
@@ -147,22 +745,47 @@ export default function ExcelMatcher() {
                 <input 
                   type="file" 
                   className="hidden" 
-                  accept=".xlsx, .xls" 
+                  accept={SUPPORTED_FILE_EXTENSIONS} 
+                  multiple 
                   onChange={handleRemittanceUpload} 
                 />
               </label>
-              {remittanceFile && (
-                <p className="mt-2 text-xs text-green-600 truncate max-w-full">
-                  Selected: {remittanceFile.name}
-                </p>
-              )}
+              {remittanceFiles.map(({ file, sheets, headerPreview, header }, index) => (
+                <div key={`${file.name}-${index}`} className="mt-2 w-full">
+                  <div className="flex items-center justify-between text-xs">
+                    <p className="text-green-600 truncate max-w-full">
+                      Batch {index + 1}: {file.name}
+                    </p>
+                    <button
+                      onClick={() => removeRemittanceFile(index)}
+                      className="ml-2 text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {sheets && (
+                    <SheetPicker
+                      sheets={sheets.sheets}
+                      selected={sheets.selected}
+                      onChange={(selected) => selectRemittanceSheets(index, selected)}
+                    />
+                  )}
+                  {headerPreview && (
+                    <HeaderPreview
+                      preview={headerPreview}
+                      header={header}
+                      onChange={(choice) => updateRemittanceFile(index, { header: choice })}
+                    />
+                  )}
+                </div>
+              ))}
             </div>
           </div>
           
           {/* Submission File Upload */}
           <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 hover:border-blue-500 transition-colors">
             <h2 className="text-lg font-semibold mb-2">Submission Report</h2>
-            <p className="text-sm text-gray-500 mb-4">Upload the Excel file containing the submission details</p>
+            <p className="text-sm text-gray-500 mb-4">Upload the Excel, CSV or Claim.Submission XML file containing the submission details</p>
             
             <div className="flex flex-col items-center justify-center">
               <label className="flex flex-col items-center justify-center w-full cursor-pointer">
@@ -175,7 +798,7 @@ export default function ExcelMatcher() {
                 <input 
                   type="file" 
                   className="hidden" 
-                  accept=".xlsx, .xls" 
+                  accept={SUPPORTED_FILE_EXTENSIONS} 
                   onChange={handleSubmissionUpload} 
                 />
               </label>
@@ -184,21 +807,161 @@ export default function ExcelMatcher() {
                   Selected: {submissionFile.name}
                 </p>
               )}
+              {submissionSheets && (
+                <SheetPicker
+                  sheets={submissionSheets.sheets}
+                  selected={submissionSheets.selected}
+                  onChange={selectSubmissionSheets}
+                />
+              )}
+              {submissionHeaderPreview && (
+                <HeaderPreview
+                  preview={submissionHeaderPreview}
+                  header={submissionHeader}
+                  onChange={setSubmissionHeader}
+                />
+              )}
             </div>
           </div>
         </div>
         
+        {/* Reconciliation Options */}
+        <div className="flex justify-center items-center space-x-4 mb-4 text-sm text-gray-700">
+          <span className="font-medium">Reconcile by:</span>
+          <label className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="radio"
+              name="reconcileLevel"
+              value="claim"
+              checked={reconcileLevel === 'claim'}
+              onChange={() => setReconcileLevel('claim')}
+              disabled={loading || !!pendingRun}
+            />
+            <span>Claim totals</span>
+          </label>
+          <label className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="radio"
+              name="reconcileLevel"
+              value="activity"
+              checked={reconcileLevel === 'activity'}
+              onChange={() => setReconcileLevel('activity')}
+              disabled={loading || !!pendingRun}
+            />
+            <span>Activity lines</span>
+          </label>
+          <label className="flex items-center space-x-1">
+            <span className="font-medium">Amount format:</span>
+            <select
+              value={amountFormat}
+              onChange={(e) => setAmountFormat(e.target.value)}
+              disabled={loading || !!pendingRun}
+              className="rounded-md border border-gray-300 bg-white px-2 py-1"
+            >
+              {AMOUNT_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-1">
+            <span className="font-medium">Currency precision:</span>
+            <select
+              value={currencyDecimals}
+              onChange={(e) => setCurrencyDecimals(Number(e.target.value))}
+              disabled={loading || !!pendingRun}
+              className="rounded-md border border-gray-300 bg-white px-2 py-1"
+            >
+              {CURRENCY_PRECISIONS.map(precision => (
+                <option key={precision.value} value={precision.value}>{precision.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-1">
+            <span className="font-medium">Rounding tolerance:</span>
+            <input
+              type="number"
+              min="0"
+              step={fromMinorUnits(1, currencyDecimals)}
+              value={statusTolerance}
+              onChange={(e) => setStatusTolerance(Math.max(parseFloat(e.target.value) || 0, 0))}
+              disabled={loading || !!pendingRun}
+              className="w-20 rounded-md border border-gray-300 px-2 py-1"
+            />
+          </label>
+          <label className="flex items-center space-x-1">
+            <span className="font-medium">Duplicate claim IDs:</span>
+            <select
+              value={duplicateHandling}
+              onChange={(e) => setDuplicateHandling(e.target.value)}
+              disabled={loading || !!pendingRun}
+              className="rounded-md border border-gray-300 bg-white px-2 py-1"
+            >
+              {DUPLICATE_SUBMISSION_HANDLINGS.map(handling => (
+                <option key={handling.value} value={handling.value}>{handling.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        
         {/* Process Button */}
         <div className="flex justify-center mb-6">
           <button
             onClick={processFiles}
-            disabled={!remittanceFile || !submissionFile || loading}
+            disabled={
+              remittanceFiles.length === 0 || 
+              !submissionFile || 
+              loading || 
+              !!pendingRun || 
+              remittanceFiles.some(({ sheets }) => sheets && sheets.selected.length === 0) || 
+              (submissionSheets && submissionSheets.selected.length === 0)
+            }
             className="px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
           >
             {loading ? 'Processing...' : 'Match Files'}
           </button>
         </div>
         
+        {/* Background Task Progress */}
+        {progress && (
+          <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-md flex items-center justify-between">
+            <p className="text-blue-800">
+              {progress.phase}...
+              {progress.rows > 0 && ` ${progress.rows.toLocaleString()} rows parsed`}
+            </p>
+            <button
+              onClick={cancelTask}
+              className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        
+        {/* Column Mapping Step */}
+        {pendingRun && columnMapping && (
+          <ColumnMapping
+            key={appliedProfileName}
+            remittanceHeaders={pendingRun.remittanceHeaders}
+            submissionHeaders={pendingRun.submissionHeaders}
+            mapping={columnMapping}
+            activityLevel={reconcileLevel === 'activity'}
+            onMappingChange={setColumnMapping}
+            profiles={mappingProfiles}
+            appliedProfileName={appliedProfileName}
+            onApplyProfile={handleApplyProfile}
+            onSaveProfile={handleSaveProfile}
+            onDeleteProfile={handleDeleteProfile}
+            onConfirm={runMatching}
+            onCancel={cancelMapping}
+            blocked={!!validationIssues && hasValidationErrors(validationIssues)}
+          />
+        )}
+        
+        {/* Data Checks Before Matching */}
+        {pendingRun && validationIssues && (
+          <ValidationReport issues={validationIssues} onDownload={downloadValidationIssues} />
+        )}
+        
         {/* Status and Error Messages */}
         {status && (
           <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
@@ -212,6 +975,34 @@ export default function ExcelMatcher() {
           </div>
         )}
         
+        {/* Saved Runs */}
+        {historyRuns.length > 0 && (
+          <details className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
+            <summary className="cursor-pointer font-medium text-gray-700">
+              Run History ({historyRuns.length})
+            </summary>
+            <p className="mt-1 mb-2 text-sm text-gray-500">
+              Runs are saved in this browser. Open a run to view and download its results again.
+            </p>
+            <HistoryPanel
+              runs={historyRuns}
+              onOpen={openRun}
+              onDownloadReport={downloadRunReport}
+              onDelete={removeRun}
+            />
+            {historyRuns.length > 1 && (
+              <RunComparisonPanel
+                runs={historyRuns}
+                comparison={runComparison}
+                onCompare={compareSavedRuns}
+                onDownload={downloadRunComparison}
+                onExportView={(rows) => exportView(rows, 'run_comparison_view.xlsx', 'Run Comparison')}
+                dateFormat={dateFormat}
+              />
+            )}
+          </details>
+        )}
+        
         {/* Debug Information (Hidden in Production) */}
         {debugInfo && (
           <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
@@ -230,6 +1021,36 @@ export default function ExcelMatcher() {
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-xl font-semibold">Results</h2>
               <div className="space-x-2">
+                <label className="text-sm">
+                  <span className="font-medium mr-1">Download as:</span>
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="rounded-md border border-gray-300 bg-white px-2 py-1"
+                  >
+                    {EXPORT_FORMATS.map(format => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm">
+                  <span className="font-medium mr-1">Dates:</span>
+                  <select
+                    value={dateFormat}
+                    onChange={(e) => setDateFormat(e.target.value)}
+                    className="rounded-md border border-gray-300 bg-white px-2 py-1"
+                  >
+                    {DATE_FORMATS.map(format => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={exportReport}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  Export Report
+                </button>
                 <button
                   onClick={downloadMatchedData}
                   disabled={!matchedData || matchedData.length === 0}
@@ -244,46 +1065,130 @@ export default function ExcelMatcher() {
                 >
                   Download Unmatched
                 </button>
+                <button
+                  onClick={downloadOrphanData}
+                  disabled={!orphanData || orphanData.length === 0}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  Download Orphan Remittances
+                </button>
               </div>
             </div>
             
+            {/* Amount Cells That Could Not Be Parsed */}
+            {amountIssues && amountIssues.length > 0 && (
+              <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-md">
+                <h3 className="text-lg font-semibold mb-2 text-red-800">
+                  Unparsed Amounts ({amountIssues.length})
+                </h3>
+                <p className="text-sm text-red-700 mb-3">
+                  These cells are not readable amounts. They were left out of Remit Amt sums, and matched rows with an unreadable amount have no Rejected Amount.
+                </p>
+                <PreviewTable rows={amountIssues} description="unparsed amounts" previewRows={20} />
+              </div>
+            )}
+            
+            {/* Submission Rows Sharing a Claim ID */}
+            {duplicateSubmissions && duplicateSubmissions.rows.length > 0 && (
+              <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="text-lg font-semibold text-yellow-800">
+                    Duplicate Claim IDs ({duplicateSubmissions.rows.length} rows)
+                  </h3>
+                  <button
+                    onClick={downloadDuplicateSubmissions}
+                    className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 transition-colors"
+                  >
+                    Download Duplicate IDs
+                  </button>
+                </div>
+                <p className="text-sm text-yellow-700 mb-3">
+                  These submission rows share a claim ID.{' '}
+                  {duplicateSubmissions.handling === 'aggregate' 
+                    ? 'Rows of the same claim were merged into one row with their amounts added up before matching.' 
+                    : "The claim's remittance was split across its rows in proportion to their amounts, so it is counted once."}
+                </p>
+                <PreviewTable rows={duplicateSubmissions.rows} description="duplicate claim ID rows" previewRows={20} />
+              </div>
+            )}
+            
+            {/* Highlight Rules for Exported Workbooks */}
+            <details className="mb-6 p-3 bg-gray-50 border border-gray-200 rounded-md">
+              <summary className="cursor-pointer font-medium text-gray-700">
+                Highlight Rules ({formatRules.length})
+              </summary>
+              <FormatRulesEditor
+                rules={formatRules}
+                columns={matchedData && matchedData.length > 0 ? Object.keys(matchedData[0]) : []}
+                onChange={handleFormatRulesChange}
+              />
+            </details>
+            
+            {/* Display Rejected Amount by Denial Code */}
+            {denialBreakdown && denialBreakdown.length > 0 && (
+              <div className="mb-8">
+                <h3 className="text-lg font-semibold mb-3">Rejections by Denial Code ({denialBreakdown.length})</h3>
+                <PreviewTable 
+                  rows={denialBreakdown} 
+                  description="denial codes" 
+                  previewRows={denialBreakdown.length} 
+                />
+                <p className="mt-2 text-xs text-gray-500">
+                  Included as the "Denial Breakdown" sheet of the matched records download.
+                </p>
+              </div>
+            )}
+            
+            {/* Resubmission of Short-paid Claims */}
+            {resubmissionCandidates.length > 0 && (
+              <details className="mb-6 p-3 border border-gray-200 rounded-md">
+                <summary className="cursor-pointer font-medium text-gray-700">
+                  Resubmission ({resubmissionCandidates.length} short-paid claims)
+                </summary>
+                <p className="text-sm text-gray-600 my-2">
+                  {resultColumns.submissionLineField
+                    ? 'Exports a Claim.Submission XML built from the original submission rows, plus an Excel worklist.'
+                    : 'Exports an Excel worklist, plus a Claim.Submission XML built from the activities of each claim when the submission file is Claim.Submission XML.'}
+                </p>
+                <ResubmissionPanel
+                  key={resultVersion}
+                  candidates={resubmissionCandidates}
+                  onExport={exportResubmission}
+                />
+              </details>
+            )}
+            
+            {/* Display Claim Roll-up of Activity Lines */}
+            {claimSummary && claimSummary.length > 0 && (
+              <div className="mb-8">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-lg font-semibold">Claim Summary ({claimSummary.length})</h3>
+                  <button
+                    onClick={downloadClaimSummary}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    Download Claim Summary
+                  </button>
+                </div>
+                <PreviewTable rows={claimSummary} description="claims" dateFormat={dateFormat} />
+              </div>
+            )}
+            
             {/* Display Matched Results */}
             {matchedData && matchedData.length > 0 && (
               <div className="mb-8">
-                <h3 className="text-lg font-semibold mb-3">Matched Records ({matchedData.length})</h3>
-                <div className="overflow-x-auto border border-gray-200 rounded-lg">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        {Object.keys(matchedData[0]).map((header, index) => (
-                          <th 
-                            key={index} 
-                            className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-                          >
-                            {header}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {matchedData.slice(0, 5).map((row, rowIndex) => (
-                        <tr key={rowIndex}>
-                          {Object.entries(row).map(([header, value], cellIndex) => (
-                            <td key={cellIndex} className="px-4 py-2 text-sm text-gray-500 truncate max-w-xs">
-                              {value !== null && value !== undefined ? value.toString() : ''}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                  
-                  {matchedData.length > 5 && (
-                    <div className="px-4 py-2 bg-gray-50 text-sm text-gray-500 text-center">
-                      Showing 5 of {matchedData.length} results. Download the Excel file to view all matched records.
-                    </div>
-                  )}
-                </div>
+                <h3 className="text-lg font-semibold mb-3">
+                  {claimSummary ? 'Matched Activity Lines' : 'Matched Records'} ({matchedData.length})
+                </h3>
+                <StatusFilter rows={matchedData} selected={statusFilter} onChange={setStatusFilter} />
+                {filteredMatchedData.length > 0 && (
+                  <ResultsGrid
+                    rows={filteredMatchedData}
+                    searchColumn={resultColumns && resultColumns.submissionIdField}
+                    onExportView={(rows) => exportView(rows, 'matched_view.xlsx', 'Matched Records')}
+                    dateFormat={dateFormat}
+                  />
+                )}
               </div>
             )}
             
@@ -291,44 +1196,65 @@ export default function ExcelMatcher() {
             {unmatchedData && unmatchedData.length > 0 && (
               <div>
                 <h3 className="text-lg font-semibold mb-3">Unmatched Records ({unmatchedData.length})</h3>
-                <div className="overflow-x-auto border border-gray-200 rounded-lg">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        {Object.keys(unmatchedData[0]).map((header, index) => (
-                          <th 
-                            key={index} 
-                            className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
-                          >
-                            {header}
-                          </th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {unmatchedData.slice(0, 5).map((row, rowIndex) => (
-                        <tr key={rowIndex}>
-                           {Object.values(row).map((value, cellIndex) => (
-                            <td key={cellIndex} className="px-4 py-2 text-sm text-gray-500 truncate max-w-xs">
-                              {value !== null && value !== undefined ? value.toString() : ''}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                  
-                  {unmatchedData.length > 5 && (
-                    <div className="px-4 py-2 bg-gray-50 text-sm text-gray-500 text-center">
-                      Showing 5 of {unmatchedData.length} results. Download the Excel file to view all unmatched records.
-                    </div>
-                  )}
+                <ResultsGrid
+                  rows={unmatchedData}
+                  searchColumn={resultColumns && resultColumns.submissionIdField}
+                  onExportView={(rows) => exportView(rows, 'unmatched_view.xlsx', 'Unmatched Records')}
+                  dateFormat={dateFormat}
+                />
+              </div>
+            )}
+            
+            {/* Display Remittances Without a Submission */}
+            {orphanData && orphanData.length > 0 && (
+              <div className="mt-8">
+                <h3 className="text-lg font-semibold mb-3">Orphan Remittances ({orphanData.length})</h3>
+                <PreviewTable rows={orphanData} description="orphan remittances" dateFormat={dateFormat} />
+              </div>
+            )}
+            
+            {/* Display Possible Matches for Unmatched IDs */}
+            {possibleMatches && possibleMatches.length > 0 && (
+              <div className="mt-8">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-lg font-semibold">Possible Matches ({possibleMatches.length})</h3>
+                  <button
+                    onClick={downloadPossibleMatches}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                  >
+                    Download Possible Matches
+                  </button>
                 </div>
+                <p className="text-sm text-gray-600 mb-3">
+                  Unmatched submission IDs next to the closest remittance IDs by edit distance, among the IDs that sort nearby forwards or backwards (up to 1,000 suggestions). Confirm these manually.
+                </p>
+                <PreviewTable rows={possibleMatches} description="possible matches" />
+              </div>
+            )}
+            
+            {/* Display Duplicate Payments */}
+            {duplicatePayments && duplicatePayments.length > 0 && (
+              <div className="mt-8">
+                <div className="flex justify-between items-center mb-3">
+                  <h3 className="text-lg font-semibold">Duplicate Payments Excluded ({duplicatePayments.length})</h3>
+                  <button
+                    onClick={downloadDuplicatePayments}
+                    className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 transition-colors"
+                  >
+                    Download Duplicates
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 mb-3">
+                  These payments have the same ID, amount and payment reference as a payment in an earlier file and were not added to Remit Amt.
+                </p>
+                <PreviewTable rows={duplicatePayments} description="duplicate payments" dateFormat={dateFormat} />
               </div>
             )}
             
             {/* No Results Message */}
-            {(!matchedData || matchedData.length === 0) && (!unmatchedData || unmatchedData.length === 0) && (
+            {(!matchedData || matchedData.length === 0) && 
+              (!unmatchedData || unmatchedData.length === 0) && 
+              (!orphanData || orphanData.length === 0) && (
               <div className="mt-8 p-4 border border-yellow-200 bg-yellow-50 rounded-md">
                 <p className="text-yellow-700">No records found for the provided files.</p>
               </div>
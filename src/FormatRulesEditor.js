@@ -0,0 +1,152 @@
+import {
+  AMOUNT_COLUMN_TOKEN,
+  RULE_CONDITIONS,
+  RULE_OPERATORS,
+  DEFAULT_FORMAT_RULES
+} from './formatRules';
+
+const NEW_RULE = {
+  column: 'Rejected Amount',
+  condition: 'difference',
+  compareColumn: AMOUNT_COLUMN_TOKEN,
+  operator: '<',
+  value: '0.01',
+  style: { fill: '#FFC7CE', fontColor: '', bold: false }
+};
+
+const inputClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm';
+
+export default function FormatRulesEditor({ rules, columns, onChange }) {
+  const columnOptions = [AMOUNT_COLUMN_TOKEN, ...columns.filter(column => column !== AMOUNT_COLUMN_TOKEN)];
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, ruleIndex) => ruleIndex === index ? { ...rule, ...changes } : rule));
+  };
+
+  const updateStyle = (index, changes) => {
+    updateRule(index, { style: { ...rules[index].style, ...changes } });
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <div className="mt-2">
+      <p className="text-xs text-gray-500 mb-2">
+        Rules are checked in order and the first matching rule for a column styles the cell.
+        "{AMOUNT_COLUMN_TOKEN}" stands for the submission amount column of the run.
+      </p>
+
+      <datalist id="format-rule-columns">
+        {columnOptions.map(column => (
+          <option key={column} value={column} />
+        ))}
+      </datalist>
+
+      <div className="space-y-2">
+        {rules.map((rule, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 p-2 border border-gray-200 rounded-md bg-white">
+            <input
+              list="format-rule-columns"
+              value={rule.column}
+              onChange={(e) => updateRule(index, { column: e.target.value })}
+              className={`${inputClass} w-36`}
+              placeholder="Column"
+            />
+            <select
+              value={rule.condition}
+              onChange={(e) => updateRule(index, { condition: e.target.value })}
+              className={inputClass}
+            >
+              {RULE_CONDITIONS.map(condition => (
+                <option key={condition.value} value={condition.value}>{condition.label}</option>
+              ))}
+            </select>
+            {(rule.condition === 'ratio' || rule.condition === 'difference') && (
+              <input
+                list="format-rule-columns"
+                value={rule.compareColumn || ''}
+                onChange={(e) => updateRule(index, { compareColumn: e.target.value })}
+                className={`${inputClass} w-36`}
+                placeholder="Compare column"
+              />
+            )}
+            {rule.condition !== 'blank' && (
+              <>
+                <select
+                  value={rule.operator}
+                  onChange={(e) => updateRule(index, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {(rule.condition === 'equals' ? ['=', '!='] : RULE_OPERATORS).map(operator => (
+                    <option key={operator} value={operator}>{operator}</option>
+                  ))}
+                </select>
+                <input
+                  value={rule.value}
+                  onChange={(e) => updateRule(index, { value: e.target.value })}
+                  className={`${inputClass} w-24`}
+                  placeholder="Value"
+                />
+              </>
+            )}
+            <label className="flex items-center space-x-1 text-xs">
+              <span>Fill</span>
+              <input
+                type="color"
+                value={rule.style.fill || '#FFFFFF'}
+                onChange={(e) => updateStyle(index, { fill: e.target.value })}
+              />
+            </label>
+            <label className="flex items-center space-x-1 text-xs">
+              <span>Font</span>
+              <input
+                type="color"
+                value={rule.style.fontColor || '#000000'}
+                onChange={(e) => updateStyle(index, { fontColor: e.target.value })}
+              />
+            </label>
+            <label className="flex items-center space-x-1 text-xs">
+              <input
+                type="checkbox"
+                checked={!!rule.style.bold}
+                onChange={(e) => updateStyle(index, { bold: e.target.checked })}
+              />
+              <span>Bold</span>
+            </label>
+            <div className="ml-auto space-x-1 text-xs">
+              <button onClick={() => moveRule(index, -1)} className="text-gray-600 hover:text-gray-900">Up</button>
+              <button onClick={() => moveRule(index, 1)} className="text-gray-600 hover:text-gray-900">Down</button>
+              <button
+                onClick={() => onChange(rules.filter((_, ruleIndex) => ruleIndex !== index))}
+                className="text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-2 space-x-2">
+        <button
+          onClick={() => onChange([...rules, NEW_RULE])}
+          className="px-3 py-1 text-sm bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
+        >
+          Add Rule
+        </button>
+        <button
+          onClick={() => onChange(DEFAULT_FORMAT_RULES)}
+          className="px-3 py-1 text-sm bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Reset to Defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { headerNames } from './headerDetection';
+
+const isEmptyCell = (cell) => cell === null || cell === undefined || cell === '';
+
+// First rows of an uploaded sheet with the header detection score of each
+// candidate row. Clicking a row makes it the header; header is null while
+// the detected row is used.
+export default function HeaderPreview({ preview, header, onChange }) {
+  const { detected, firstRowNumber } = preview;
+  const current = header || detected;
+  const scoreByRow = new Map(preview.scores.map(({ rowIndex, score }) => [rowIndex, score]));
+  const columnCount = Math.max(0, ...preview.rows.map(row => row.length));
+  const columns = headerNames(preview.rows, current.row, current.lines, preview.merges)
+    .filter(name => !isEmptyCell(name));
+
+  const choose = (row, lines) => {
+    onChange(row === detected.row && lines === detected.lines
+      ? null
+      : { sheetName: preview.sheetName, row, lines });
+  };
+
+  return (
+    <details className="mt-2 w-full text-left text-xs">
+      <summary className="cursor-pointer text-gray-700">
+        Header row {firstRowNumber + current.row}
+        {current.lines > 1 ? ' (two lines)' : ''}
+        {header ? `, chosen (detected: row ${firstRowNumber + detected.row})` : ', detected'}
+      </summary>
+      <p className="mt-1 text-gray-500">
+        Click a row to use it as the header. Scores come from header detection; the highest is picked.
+      </p>
+      <div className="mt-1 max-h-64 overflow-auto border border-gray-200 rounded">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-2 py-1 text-left font-medium text-gray-500">Row</th>
+              <th className="px-2 py-1 text-left font-medium text-gray-500">Score</th>
+              <th colSpan={Math.max(columnCount, 1)} />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-100">
+            {preview.rows.map((row, rowIndex) => {
+              const inHeader = rowIndex >= current.row && rowIndex < current.row + current.lines;
+              return (
+                <tr
+                  key={rowIndex}
+                  onClick={() => choose(rowIndex, current.lines)}
+                  className={`cursor-pointer ${inHeader ? 'bg-blue-100 font-medium' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-2 py-1 text-gray-400">{firstRowNumber + rowIndex}</td>
+                  <td className={`px-2 py-1 ${rowIndex === detected.row ? 'text-blue-700' : 'text-gray-500'}`}>
+                    {scoreByRow.has(rowIndex) ? scoreByRow.get(rowIndex).toFixed(2) : ''}
+                  </td>
+                  {Array.from({ length: columnCount }, (_, col) => (
+                    <td key={col} className="px-2 py-1 whitespace-nowrap text-gray-700">
+                      {isEmptyCell(row[col]) ? '' : String(row[col])}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-1 flex items-center space-x-3">
+        <label className="flex items-center space-x-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={current.lines > 1}
+            onChange={(e) => choose(current.row, e.target.checked ? 2 : 1)}
+          />
+          <span>Header spans two lines (e.g. "Amount" over "Gross | Net")</span>
+        </label>
+        {header && (
+          <button onClick={() => onChange(null)} className="text-blue-600 hover:text-blue-800">
+            Use detected row
+          </button>
+        )}
+      </div>
+      <p className="mt-1 text-gray-500 truncate">Columns: {columns.join(', ')}</p>
+    </details>
+  );
+}
@@ -0,0 +1,59 @@
+// Past reconciliation runs saved in this browser, newest first
+export default function HistoryPanel({ runs, onOpen, onDownloadReport, onDelete }) {
+  const fileNames = (run) => [
+    ...run.inputs.remittanceFiles.map(file => file.name),
+    run.inputs.submissionFile.name
+  ];
+
+  return (
+    <div className="max-h-80 overflow-auto border border-gray-200 rounded-lg">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50 sticky top-0">
+          <tr>
+            {['Saved', 'Files', 'Level', 'Matched', 'Unmatched', 'Orphans', 'Billed', 'Remitted', 'Rejected', ''].map(header => (
+              <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {runs.map(run => (
+            <tr key={run.id} className="text-sm">
+              <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{new Date(run.savedAt).toLocaleString()}</td>
+              <td className="px-3 py-2 text-gray-500">
+                {[...run.inputs.remittanceFiles, run.inputs.submissionFile].map((file, index) => (
+                  <span key={index} className="block truncate max-w-xs" title={`SHA-256 ${file.hash}`}>
+                    {file.name}
+                  </span>
+                ))}
+              </td>
+              <td className="px-3 py-2 text-gray-500">{run.level}</td>
+              <td className="px-3 py-2 text-gray-500">{run.counts.matched}</td>
+              <td className="px-3 py-2 text-gray-500">{run.counts.unmatched}</td>
+              <td className="px-3 py-2 text-gray-500">{run.counts.orphans}</td>
+              <td className="px-3 py-2 text-gray-500">{run.totals.billed}</td>
+              <td className="px-3 py-2 text-gray-500">{run.totals.remitted}</td>
+              <td className="px-3 py-2 text-gray-500">{run.totals.rejected}</td>
+              <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                <button onClick={() => onOpen(run)} className="text-blue-600 hover:text-blue-800">
+                  Open
+                </button>
+                <button onClick={() => onDownloadReport(run)} className="text-green-600 hover:text-green-800">
+                  Report
+                </button>
+                <button
+                  onClick={() => onDelete(run)}
+                  className="text-red-600 hover:text-red-800"
+                  title={`Delete the run of ${fileNames(run).join(', ')}`}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
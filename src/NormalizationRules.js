@@ -0,0 +1,50 @@
+import { useState } from 'react';
+
+// Toggle options shown as checkboxes, in display order
+const RULE_OPTIONS = [
+  { key: 'trim', label: 'Trim spaces' },
+  { key: 'caseFold', label: 'Ignore case' },
+  { key: 'coerceNumbers', label: 'Treat numbers as text' },
+  { key: 'stripLeadingZeros', label: 'Strip leading zeros' }
+];
+
+export default function NormalizationRules({ rules, onChange }) {
+  // Raw text kept separately so separators can be typed before the next prefix
+  const [prefixText, setPrefixText] = useState((rules.stripPrefixes || []).join(', '));
+
+  const handlePrefixChange = (e) => {
+    setPrefixText(e.target.value);
+    onChange({
+      ...rules,
+      stripPrefixes: e.target.value.split(',').map(prefix => prefix.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-1">ID normalization (applied to both files)</p>
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        {RULE_OPTIONS.map(option => (
+          <label key={option.key} className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!!rules[option.key]}
+              onChange={(e) => onChange({ ...rules, [option.key]: e.target.checked })}
+            />
+            <span>{option.label}</span>
+          </label>
+        ))}
+        <label className="flex items-center space-x-1">
+          <span>Strip prefixes</span>
+          <input
+            type="text"
+            placeholder="e.g. CLM-, INV"
+            value={prefixText}
+            onChange={handlePrefixChange}
+            className="rounded-md border border-gray-300 px-2 py-1"
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { displayValue } from './dates';
+
+// Number of rows shown before asking the user to download the full result
+const PREVIEW_ROW_COUNT = 5;
+
+export default function PreviewTable({ rows, description, previewRows = PREVIEW_ROW_COUNT, dateFormat }) {
+  const headers = Object.keys(rows[0]);
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            {headers.map((header, index) => (
+              <th 
+                key={index} 
+                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {rows.slice(0, previewRows).map((row, rowIndex) => (
+            <tr key={rowIndex}>
+              {headers.map((header, cellIndex) => (
+                <td key={cellIndex} className="px-4 py-2 text-sm text-gray-500 truncate max-w-xs">
+                  {displayValue(row[header], dateFormat)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      
+      {rows.length > previewRows && (
+        <div className="px-4 py-2 bg-gray-50 text-sm text-gray-500 text-center">
+          Showing {previewRows} of {rows.length} results. Download the Excel file to view all {description}.
+        </div>
+      )}
+    </div>
+  );
+}
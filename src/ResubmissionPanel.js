@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { RESUBMISSION_TYPES } from './resubmission';
+
+// Short-paid claims to pick for resubmission, with the type and comment
+// written into every resubmitted claim
+export default function ResubmissionPanel({ candidates, onExport }) {
+  const [selected, setSelected] = useState(() => candidates.map(claim => claim.id));
+  const [type, setType] = useState(RESUBMISSION_TYPES[0].value);
+  const [comment, setComment] = useState('');
+
+  const toggleClaim = (id) => {
+    setSelected(selected.includes(id)
+      ? selected.filter(selectedId => selectedId !== id)
+      : [...selected, id]);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center space-x-3 mb-2 text-sm">
+        <span className="text-gray-600">{selected.length} of {candidates.length} claims selected</span>
+        <button onClick={() => setSelected(candidates.map(claim => claim.id))} className="text-blue-600 hover:text-blue-800">
+          Select all
+        </button>
+        <button onClick={() => setSelected([])} className="text-blue-600 hover:text-blue-800">
+          Select none
+        </button>
+      </div>
+
+      <div className="max-h-64 overflow-auto border border-gray-200 rounded-lg mb-3">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-4 py-2" />
+              {['Claim ID', 'Rows', 'Rejected Amount', 'Denial Codes'].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {header}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {candidates.map(claim => (
+              <tr key={claim.id} onClick={() => toggleClaim(claim.id)} className="cursor-pointer hover:bg-gray-50">
+                <td className="px-4 py-2">
+                  <input type="checkbox" checked={selected.includes(claim.id)} readOnly />
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">{claim.id}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{claim.rows}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{claim.rejectedAmount}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{claim.denialCodes.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="block text-sm">
+          <span className="font-medium text-gray-700">Resubmission type</span>
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="mt-1 block rounded-md border border-gray-300 bg-white px-2 py-1"
+          >
+            {RESUBMISSION_TYPES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm flex-1 min-w-[16rem]">
+          <span className="font-medium text-gray-700">Comment</span>
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Reason for resubmission"
+            className="mt-1 block w-full rounded-md border border-gray-300 px-2 py-1"
+          />
+        </label>
+        <button
+          onClick={() => onExport({ claimIds: selected, type, comment: comment.trim() })}
+          disabled={selected.length === 0 || !comment.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Export Resubmission
+        </button>
+      </div>
+    </div>
+  );
+}
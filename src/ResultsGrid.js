@@ -0,0 +1,191 @@
+import { useState, useMemo } from 'react';
+import { collectHeaders } from './dataProcessor';
+import { FILTER_OPERATORS, VALUELESS_OPERATORS, applyGridView, selectColumns } from './gridView';
+import { displayValue } from './dates';
+
+// Only the rows scrolled into view are rendered, so rows must keep a fixed height
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 432;
+// Rows rendered above and below the viewport to avoid blank flashes while scrolling
+const OVERSCAN_ROWS = 10;
+
+const inputClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm';
+
+export default function ResultsGrid({ rows, searchColumn, onExportView, dateFormat }) {
+  const columns = useMemo(() => collectHeaders(rows), [rows]);
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState([]);
+  const [search, setSearch] = useState('');
+  const [hiddenColumns, setHiddenColumns] = useState([]);
+  const [draftFilter, setDraftFilter] = useState({ column: '', operator: '>', value: '' });
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const viewRows = useMemo(
+    () => applyGridView(rows, { filters, search, searchColumn, sort }),
+    [rows, filters, search, searchColumn, sort]
+  );
+  const visibleColumns = columns.filter(column => !hiddenColumns.includes(column));
+
+  const firstRow = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS, 0);
+  const lastRow = Math.min(Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS, viewRows.length);
+  const renderedRows = viewRows.slice(firstRow, lastRow);
+
+  // Click cycles a column through ascending, descending and unsorted
+  const toggleSort = (column) => {
+    if (!sort || sort.column !== column) {
+      setSort({ column, direction: 'asc' });
+    } else if (sort.direction === 'asc') {
+      setSort({ column, direction: 'desc' });
+    } else {
+      setSort(null);
+    }
+  };
+
+  const addFilter = () => {
+    if (!draftFilter.column) return;
+    setFilters([...filters, draftFilter]);
+    setDraftFilter({ ...draftFilter, value: '' });
+  };
+
+  const toggleColumn = (column) => {
+    setHiddenColumns(hiddenColumns.includes(column)
+      ? hiddenColumns.filter(hidden => hidden !== column)
+      : [...hiddenColumns, column]);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={searchColumn ? `Search ${searchColumn}` : 'Search'}
+          className={`${inputClass} w-48`}
+        />
+        <select
+          value={draftFilter.column}
+          onChange={(e) => setDraftFilter({ ...draftFilter, column: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">-- Filter column --</option>
+          {columns.map(column => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+        <select
+          value={draftFilter.operator}
+          onChange={(e) => setDraftFilter({ ...draftFilter, operator: e.target.value })}
+          className={inputClass}
+        >
+          {FILTER_OPERATORS.map(operator => (
+            <option key={operator.value} value={operator.value}>{operator.label}</option>
+          ))}
+        </select>
+        {!VALUELESS_OPERATORS.includes(draftFilter.operator) && (
+          <input
+            value={draftFilter.value}
+            onChange={(e) => setDraftFilter({ ...draftFilter, value: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && addFilter()}
+            placeholder="Value"
+            className={`${inputClass} w-24`}
+          />
+        )}
+        <button
+          onClick={addFilter}
+          disabled={!draftFilter.column}
+          className="px-3 py-1 text-sm bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Add Filter
+        </button>
+        <details className="relative">
+          <summary className="cursor-pointer text-sm text-gray-700">
+            Columns ({visibleColumns.length}/{columns.length})
+          </summary>
+          <div className="absolute z-10 mt-1 p-2 bg-white border border-gray-200 rounded-md shadow-md max-h-64 overflow-auto">
+            {columns.map(column => (
+              <label key={column} className="flex items-center space-x-2 text-sm whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={!hiddenColumns.includes(column)}
+                  onChange={() => toggleColumn(column)}
+                />
+                <span>{column}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+        <button
+          onClick={() => onExportView(selectColumns(viewRows, visibleColumns))}
+          disabled={viewRows.length === 0 || visibleColumns.length === 0}
+          className="ml-auto px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          Export Current View
+        </button>
+      </div>
+
+      {filters.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {filters.map((filter, index) => (
+            <span key={index} className="inline-flex items-center px-2 py-1 text-xs bg-blue-50 border border-blue-200 rounded-full">
+              {filter.column} {FILTER_OPERATORS.find(operator => operator.value === filter.operator).label}
+              {!VALUELESS_OPERATORS.includes(filter.operator) && ` ${filter.value}`}
+              <button
+                onClick={() => setFilters(filters.filter((_, filterIndex) => filterIndex !== index))}
+                className="ml-1 text-blue-700 hover:text-blue-900"
+                aria-label="Remove filter"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <button onClick={() => setFilters([])} className="text-xs text-gray-600 hover:text-gray-900">
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      <div
+        className="overflow-auto border border-gray-200 rounded-lg"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {visibleColumns.map(column => (
+                <th
+                  key={column}
+                  onClick={() => toggleSort(column)}
+                  className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap cursor-pointer select-none hover:text-gray-800"
+                >
+                  {column}
+                  {sort && sort.column === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {firstRow > 0 && <tr style={{ height: firstRow * ROW_HEIGHT }} />}
+            {renderedRows.map((row, index) => (
+              <tr key={firstRow + index} style={{ height: ROW_HEIGHT }}>
+                {visibleColumns.map(column => (
+                  <td key={column} className="px-4 text-sm text-gray-500 whitespace-nowrap truncate max-w-xs">
+                    {displayValue(row[column], dateFormat)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {lastRow < viewRows.length && <tr style={{ height: (viewRows.length - lastRow) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-1 py-2 text-sm text-gray-500">
+        {viewRows.length === rows.length
+          ? `${rows.length} rows`
+          : `${viewRows.length} of ${rows.length} rows match the current filters`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import ResultsGrid from './ResultsGrid';
+
+const selectClass = 'rounded-md border border-gray-300 px-2 py-1 text-sm';
+
+const runLabel = (run) => `${new Date(run.savedAt).toLocaleString()} (${run.counts.matched} matched)`;
+
+// Pick two saved runs and show what changed for each claim between them.
+// comparison is { previous, current, rows, summary } once compared.
+export default function RunComparisonPanel({ runs, comparison, onCompare, onDownload, onExportView, dateFormat }) {
+  // Newest run against the one before it by default
+  const [previousId, setPreviousId] = useState(runs[1].id);
+  const [currentId, setCurrentId] = useState(runs[0].id);
+
+  const findRun = (id) => runs.find(run => run.id === Number(id));
+
+  return (
+    <div className="mt-4">
+      <h4 className="font-medium text-gray-700 mb-2">Compare Runs</h4>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label className="text-gray-600">Previous:</label>
+        <select value={previousId} onChange={(e) => setPreviousId(Number(e.target.value))} className={selectClass}>
+          {runs.map(run => <option key={run.id} value={run.id}>{runLabel(run)}</option>)}
+        </select>
+        <label className="text-gray-600">Current:</label>
+        <select value={currentId} onChange={(e) => setCurrentId(Number(e.target.value))} className={selectClass}>
+          {runs.map(run => <option key={run.id} value={run.id}>{runLabel(run)}</option>)}
+        </select>
+        <button
+          onClick={() => onCompare(findRun(previousId), findRun(currentId))}
+          disabled={previousId === currentId || !findRun(previousId) || !findRun(currentId)}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300"
+        >
+          Compare
+        </button>
+      </div>
+
+      {comparison && (
+        <div className="mt-3">
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm text-gray-600">
+              {runLabel(comparison.previous)} → {runLabel(comparison.current)}:{' '}
+              {comparison.summary
+                .filter(({ Claims }) => Claims > 0)
+                .map(({ Change, Claims }) => `${Claims} ${Change}`)
+                .join(', ') || 'no claims'}
+            </p>
+            <button
+              onClick={onDownload}
+              className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 text-sm"
+            >
+              Download Comparison
+            </button>
+          </div>
+          {comparison.rows.length > 0 && (
+            <ResultsGrid
+              rows={comparison.rows}
+              searchColumn="Claim ID"
+              onExportView={onExportView}
+              dateFormat={dateFormat}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
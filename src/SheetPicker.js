@@ -0,0 +1,55 @@
+// Number of header names shown per sheet
+const HEADER_PREVIEW_COUNT = 6;
+
+export default function SheetPicker({ sheets, selected, onChange }) {
+  const toggleSheet = (name) => {
+    const nextSelected = selected.includes(name)
+      ? selected.filter(sheetName => sheetName !== name)
+      : [...selected, name];
+
+    // Keep workbook order so consolidated rows follow the sheet tabs
+    onChange(sheets.map(sheet => sheet.name).filter(sheetName => nextSelected.includes(sheetName)));
+  };
+
+  const selectedLayouts = new Set(
+    sheets.filter(sheet => selected.includes(sheet.name)).map(sheet => sheet.signature)
+  );
+
+  return (
+    <div className="mt-3 w-full text-left">
+      <p className="text-xs font-medium text-gray-700 mb-1">
+        Sheets to read ({selected.length} of {sheets.length} selected)
+      </p>
+      <ul className="space-y-1 max-h-48 overflow-auto">
+        {sheets.map(sheet => (
+          <li key={sheet.name} className="text-xs">
+            <label className="flex items-start space-x-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.includes(sheet.name)}
+                onChange={() => toggleSheet(sheet.name)}
+                className="mt-0.5"
+              />
+              <span>
+                <span className="font-medium text-gray-800">{sheet.name}</span>
+                <span className="text-gray-500"> ({sheet.rowCount} rows)</span>
+                <span className="block text-gray-400 truncate max-w-xs">
+                  {sheet.headers.slice(0, HEADER_PREVIEW_COUNT).join(', ')}
+                  {sheet.headers.length > HEADER_PREVIEW_COUNT ? ', ...' : ''}
+                </span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      {selected.length === 0 && (
+        <p className="mt-1 text-xs text-red-600">Select at least one sheet</p>
+      )}
+      {selectedLayouts.size > 1 && (
+        <p className="mt-1 text-xs text-red-600">
+          Selected sheets have different column layouts and cannot be consolidated
+        </p>
+      )}
+    </div>
+  );
+}
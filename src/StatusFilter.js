@@ -0,0 +1,32 @@
+import { PAYMENT_STATUSES } from './dataProcessor';
+
+export default function StatusFilter({ rows, selected, onChange }) {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row['Payment Status']] = (counts[row['Payment Status']] || 0) + 1;
+  });
+
+  const options = [
+    { value: '', label: 'All', count: rows.length },
+    ...PAYMENT_STATUSES.map(status => ({ value: status, label: status, count: counts[status] || 0 }))
+  ];
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-3">
+      {options.map(option => (
+        <button
+          key={option.label}
+          onClick={() => onChange(option.value)}
+          disabled={option.count === 0}
+          className={`px-3 py-1 text-sm rounded-full border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+            selected === option.value
+              ? 'bg-blue-600 border-blue-600 text-white'
+              : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          {option.label} ({option.count})
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import PreviewTable from './PreviewTable';
+import { VALIDATION_ERROR } from './validation';
+
+// Data quality issues found before matching. Errors must be fixed (in the
+// files or the column mapping) before the run can go ahead; warnings only
+// need reviewing.
+export default function ValidationReport({ issues, onDownload }) {
+  const errorCount = issues.filter(item => item['Severity'] === VALIDATION_ERROR).length;
+  const warningCount = issues.length - errorCount;
+
+  if (issues.length === 0) {
+    return (
+      <div className="mb-6 p-3 bg-green-50 border border-green-200 rounded-md">
+        <p className="text-green-800">Data checks passed: no blank IDs, unreadable or negative amounts were found.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`mb-6 p-3 rounded-md border ${errorCount > 0 ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'}`}>
+      <div className="flex justify-between items-center mb-2">
+        <h3 className={`text-lg font-semibold ${errorCount > 0 ? 'text-red-800' : 'text-yellow-800'}`}>
+          Data Checks: {errorCount} errors, {warningCount} warnings
+        </h3>
+        <button
+          onClick={onDownload}
+          className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 transition-colors"
+        >
+          Download Issues
+        </button>
+      </div>
+      <p className={`text-sm mb-3 ${errorCount > 0 ? 'text-red-700' : 'text-yellow-700'}`}>
+        {errorCount > 0
+          ? 'Matching is blocked until the errors are fixed, either in the files or by choosing other columns above.'
+          : 'The rows below may give wrong figures. Review them; you can still match with these warnings.'}
+      </p>
+      <PreviewTable rows={issues} description="data issues" previewRows={20} />
+    </div>
+  );
+}
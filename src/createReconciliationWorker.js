@@ -0,0 +1,7 @@
+// Kept apart from reconciliationTask.js and loaded with import(): Jest cannot
+// parse import.meta, and the bundler needs this exact form to emit the worker
+const createReconciliationWorker = () => {
+  return new Worker(new URL('./reconciliation.worker.js', import.meta.url));
+};
+
+export default createReconciliationWorker;
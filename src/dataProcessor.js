@@ -1,27 +1,92 @@
+import { normalizeId } from './idNormalization';
+import {
+  parseMoney,
+  DEFAULT_CURRENCY_DECIMALS,
+  toMinorUnits,
+  fromMinorUnits,
+  sumMoney,
+  subtractMoney
+} from './money';
+
+// Separates claim ID and activity ID / service code in activity-level keys
+const LINE_KEY_SEPARATOR = '::';
+
+// Matching key of a row: the claim ID, or claim ID plus line identifier when
+// reconciling at activity level. IDs go through the normalization rules first.
+export const rowKey = (row, idField, lineField, idRules) => {
+  const id = idRules ? normalizeId(row[idField], idRules) : row[idField];
+  if (!lineField) return id;
+  return `${id}${LINE_KEY_SEPARATOR}${row[lineField]}`;
+};
+
+// Rows without a claim ID cannot be told apart, so they are never matched:
+// such submission rows stay unmatched and such payments are orphans
+export const hasClaimId = (row, idField) => {
+  const id = row[idField];
+  return id !== undefined && id !== null && String(id).trim() !== '';
+};
+
+// Payment outcome of a matched row, in the order they are checked
+export const PAYMENT_STATUSES = ['Reversed', 'Overpaid', 'Fully Paid', 'Fully Denied', 'Partially Paid'];
+
+// Differences up to this amount are treated as rounding
+export const DEFAULT_STATUS_TOLERANCE = 0.01;
+
+// Amounts and tolerance are compared in minor units, so the same 1-fil gap
+// gets the same status whatever the size of the claim
+export const classifyPayment = (
+  amount, 
+  remitAmount, 
+  tolerance = DEFAULT_STATUS_TOLERANCE, 
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS
+) => {
+  const billed = toMinorUnits(amount, currencyDecimals);
+  const remitted = toMinorUnits(remitAmount, currencyDecimals);
+  const allowance = toMinorUnits(tolerance, currencyDecimals);
+  
+  if (remitted < -allowance) return 'Reversed';
+  if (remitted > billed + allowance) return 'Overpaid';
+  if (Math.abs(billed - remitted) <= allowance) return 'Fully Paid';
+  if (Math.abs(remitted) <= allowance) return 'Fully Denied';
+  return 'Partially Paid';
+};
+
 export const processMatchedData = (
   matchedRows, 
   submissionIdField, 
-  remittanceAmtSumByID
+  remittanceAmtSumByID,
+  submissionAmtField = 'Amt',
+  submissionLineField,
+  idRules,
+  remittanceDenialCodesByID,
+  remittanceDenialCommentsByID,
+  statusTolerance = DEFAULT_STATUS_TOLERANCE,
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS,
+  remitAmtByRow = new Map()
 ) => {
   return matchedRows.map(row => {
     // Create a new object with all existing properties
     const newRow = { ...row };
     
-    // Find the index of the "Amt" column
+    // Find the index of the submission amount column
     const headers = Object.keys(newRow);
-    const amtIndex = headers.findIndex(header => header.toLowerCase() === 'amt');
+    const amtIndex = headers.indexOf(submissionAmtField);
     
-    // Get the ID for this row
-    const rowID = row[submissionIdField];
+    // Get the ID (or claim and line key) for this row
+    const rowID = rowKey(row, submissionIdField, submissionLineField, idRules);
     
-    // Get the sum of amounts for this ID from remittance file
-    const remitAmtSum = remittanceAmtSumByID[rowID] || 0;
+    // Get the sum of amounts for this ID from remittance file, or this row's
+    // share of it when the ID is on several rows (see allocateRemittance)
+    const remitAmtSum = remitAmtByRow.has(row) ? remitAmtByRow.get(row) : remittanceAmtSumByID[rowID] || 0;
     
-    // Get the original amount for calculation
-    const originalAmt = parseFloat(row['Amt']) || 0;
+    // Get the original amount for calculation; null when the cell is not an amount
+    const originalAmt = parseMoney(row[submissionAmtField]);
     
-    // Calculate rejected amount (Amt - Remit Amt) and round to avoid floating point precision issues
-    const rejectedAmount = Math.round((originalAmt - remitAmtSum) * 100) / 100;
+    // Calculate rejected amount (Amt - Remit Amt) in minor units so it is exact.
+    // Without a readable amount there is nothing to compare the payment against.
+    const rejectedAmount = originalAmt === null 
+      ? '' 
+      : subtractMoney(originalAmt, remitAmtSum, currencyDecimals);
     
     // Create a new object with the Remit Amt and Rejected Amount columns inserted after Amt
     const result = {};
@@ -32,6 +97,17 @@ export const processMatchedData = (
       if (index === amtIndex) {
         result['Remit Amt'] = remitAmtSum;
         result['Rejected Amount'] = rejectedAmount;
+        result['Payment Status'] = originalAmt === null 
+          ? '' 
+          : classifyPayment(originalAmt, remitAmtSum, statusTolerance, currencyDecimals);
+        
+        // Carry the payer's denial reasons next to the rejected amount
+        if (remittanceDenialCodesByID) {
+          result['Denial Codes'] = (remittanceDenialCodesByID[rowID] || []).join(', ');
+        }
+        if (remittanceDenialCommentsByID) {
+          result['Denial Comments'] = (remittanceDenialCommentsByID[rowID] || []).join(' | ');
+        }
       }
     });
     
@@ -39,55 +115,268 @@ export const processMatchedData = (
   });
 };
 
-export const createRemittanceMapping = (remittanceData, remittanceIdField, amtFieldName) => {
+// Columns added to remittance rows to trace them back to their upload
+export const SOURCE_FILE_COLUMN = 'Source File';
+export const BATCH_COLUMN = 'Remittance Batch';
+
+// Amount for sums; cells that cannot be parsed are reported before matching
+// (see normalizeAmounts) and contribute nothing here
+const parseAmount = (rawAmt) => parseMoney(rawAmt) ?? 0;
+
+// Combine several remittance uploads into one dataset, numbering each
+// upload as a batch in the order the files were added
+export const mergeRemittanceBatches = (batches) => {
+  const mergedRows = [];
+  
+  batches.forEach(({ fileName, rows }, index) => {
+    rows.forEach(row => {
+      mergedRows.push({ 
+        ...row, 
+        [SOURCE_FILE_COLUMN]: fileName, 
+        [BATCH_COLUMN]: index + 1 
+      });
+    });
+  });
+  
+  return mergedRows;
+};
+
+// A payment whose ID, amount and payment reference were already seen in an
+// earlier file is treated as the same payment imported twice
+export const findDuplicatePayments = (remittanceData, remittanceIdField, amtFieldName, referenceField) => {
+  const firstSeenIn = {};
+  const uniqueRows = [];
+  const duplicateRows = [];
+  
+  remittanceData.forEach(row => {
+    const reference = row[referenceField];
+    
+    // Without a payment reference two equal payments cannot be told apart
+    if (reference === undefined || reference === null || reference === '') {
+      uniqueRows.push(row);
+      return;
+    }
+    
+    const key = [row[remittanceIdField], parseAmount(row[amtFieldName]), reference].join('|');
+    const sourceFile = row[SOURCE_FILE_COLUMN];
+    
+    if (firstSeenIn[key] !== undefined && firstSeenIn[key] !== sourceFile) {
+      duplicateRows.push({ ...row, 'Duplicate Of': firstSeenIn[key] });
+    } else {
+      if (firstSeenIn[key] === undefined) {
+        firstSeenIn[key] = sourceFile;
+      }
+      uniqueRows.push(row);
+    }
+  });
+  
+  return { uniqueRows, duplicateRows };
+};
+
+// Union of the keys of all rows, in first-seen order
+export const collectHeaders = (rows) => {
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(header => {
+      if (!headers.includes(header)) {
+        headers.push(header);
+      }
+    });
+  });
+  return headers;
+};
+
+// Sum the line-level results of processMatchedData back up to one row per claim
+export const rollUpClaims = (
+  lineRows, 
+  unmatchedLineRows, 
+  submissionIdField, 
+  submissionAmtField, 
+  statusTolerance = DEFAULT_STATUS_TOLERANCE,
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS
+) => {
+  const claimsByID = {};
+  const toMinor = (amount) => toMinorUnits(parseAmount(amount), currencyDecimals);
+  
+  const claimFor = (id) => {
+    if (!claimsByID[id]) {
+      claimsByID[id] = {
+        [submissionIdField]: id,
+        'Lines': 0,
+        [submissionAmtField]: 0,
+        'Remit Amt': 0,
+        'Rejected Amount': 0,
+        'Cut Lines': 0,
+        'Unmatched Lines': 0
+      };
+    }
+    return claimsByID[id];
+  };
+  
+  lineRows.forEach(row => {
+    const claim = claimFor(row[submissionIdField]);
+    claim['Lines'] += 1;
+    // Amounts are totalled in minor units and converted back below
+    claim[submissionAmtField] += toMinor(row[submissionAmtField]);
+    claim['Remit Amt'] += toMinor(row['Remit Amt']);
+    claim['Rejected Amount'] += toMinor(row['Rejected Amount']);
+    if (row['Rejected Amount'] > 0) {
+      claim['Cut Lines'] += 1;
+    }
+    if (row['Denial Codes'] !== undefined) {
+      const codes = splitDenialCodes(claim['Denial Codes']);
+      splitDenialCodes(row['Denial Codes']).forEach(code => {
+        if (!codes.includes(code)) codes.push(code);
+      });
+      claim['Denial Codes'] = codes.join(', ');
+    }
+  });
+  
+  // Lines the payer did not report belong to claims that were matched: they
+  // are billed and, with nothing paid for them, wholly rejected
+  unmatchedLineRows.forEach(row => {
+    const claim = claimsByID[row[submissionIdField]];
+    if (claim) {
+      const amount = toMinor(row[submissionAmtField]);
+      claim['Lines'] += 1;
+      claim['Unmatched Lines'] += 1;
+      claim[submissionAmtField] += amount;
+      claim['Rejected Amount'] += amount;
+    }
+  });
+  
+  return Object.values(claimsByID).map(claim => {
+    const amount = fromMinorUnits(claim[submissionAmtField], currencyDecimals);
+    const remitAmount = fromMinorUnits(claim['Remit Amt'], currencyDecimals);
+    
+    return {
+      ...claim,
+      [submissionAmtField]: amount,
+      'Remit Amt': remitAmount,
+      'Rejected Amount': fromMinorUnits(claim['Rejected Amount'], currencyDecimals),
+      'Payment Status': classifyPayment(amount, remitAmount, statusTolerance, currencyDecimals)
+    };
+  });
+};
+
+// Collect the distinct non-empty values of a cell for an ID
+const addDistinctValues = (valuesByID, id, values) => {
+  if (!valuesByID[id]) {
+    valuesByID[id] = [];
+  }
+  values.forEach(value => {
+    if (value && !valuesByID[id].includes(value)) {
+      valuesByID[id].push(value);
+    }
+  });
+};
+
+// A denial code cell may list several codes
+const splitDenialCodes = (rawCodes) => {
+  if (rawCodes === undefined || rawCodes === null) return [];
+  return String(rawCodes).split(/[,;|]/).map(code => code.trim()).filter(Boolean);
+};
+
+export const createRemittanceMapping = (
+  remittanceData, 
+  remittanceIdField, 
+  amtFieldName, 
+  remittanceLineField, 
+  idRules, 
+  denialCodeField, 
+  denialCommentField,
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS
+) => {
   const remittanceIdCounts = {};
   const remittanceAmountsByID = {};
+  const remittanceDenialCodesByID = {};
+  const remittanceDenialCommentsByID = {};
   
   remittanceData.forEach(row => {
-    const id = row[remittanceIdField];
+    if (!hasClaimId(row, remittanceIdField)) return;
+    
+    const id = rowKey(row, remittanceIdField, remittanceLineField, idRules);
     remittanceIdCounts[id] = (remittanceIdCounts[id] || 0) + 1;
     
-    let amount = 0;
-    
-    if (amtFieldName) {
-      const rawAmt = row[amtFieldName];
-      // Handle different formats of amount (string, number, etc.)
-      if (typeof rawAmt === 'number') {
-        amount = rawAmt;
-      } else if (typeof rawAmt === 'string') {
-        // Remove any non-numeric characters except decimal point
-        const cleanedAmt = rawAmt.replace(/[^\d.-]/g, '');
-        amount = parseFloat(cleanedAmt) || 0;
-      }
-    }
+    const amount = amtFieldName ? parseAmount(row[amtFieldName]) : 0;
     
     if (!remittanceAmountsByID[id]) {
       remittanceAmountsByID[id] = [];
     }
     remittanceAmountsByID[id].push(amount);
+    
+    if (denialCodeField) {
+      addDistinctValues(remittanceDenialCodesByID, id, splitDenialCodes(row[denialCodeField]));
+    }
+    if (denialCommentField) {
+      const comment = row[denialCommentField];
+      addDistinctValues(remittanceDenialCommentsByID, id, [comment ? String(comment).trim() : '']);
+    }
   });
   
-  // Calculate sum for each ID
+  // Calculate sum for each ID in minor units so many lines do not drift
   const remittanceAmtSumByID = {};
   Object.keys(remittanceAmountsByID).forEach(id => {
-    const amounts = remittanceAmountsByID[id];
-    const sum = amounts.reduce((total, amt) => total + amt, 0);
-    remittanceAmtSumByID[id] = sum;
+    remittanceAmtSumByID[id] = sumMoney(remittanceAmountsByID[id], currencyDecimals);
   });
   
   return {
     remittanceIdCounts,
     remittanceAmountsByID,
-    remittanceAmtSumByID
+    remittanceAmtSumByID,
+    remittanceDenialCodesByID: denialCodeField ? remittanceDenialCodesByID : null,
+    remittanceDenialCommentsByID: denialCommentField ? remittanceDenialCommentsByID : null
   };
 };
 
-export const findMatchingRecords = (submissionData, remittanceIds, submissionIdField) => {
+// Label used for rejected rows the payer gave no denial code for
+export const NO_DENIAL_CODE = '(No denial code)';
+
+// Rejected amount and claim count per denial code. A row with several codes
+// shares its rejected amount equally between them, any leftover minor units
+// going to the first codes so the breakdown adds up to the total.
+export const summarizeDenials = (matchedRows, submissionIdField, currencyDecimals = DEFAULT_CURRENCY_DECIMALS) => {
+  const denialsByCode = {};
+  let totalRejected = 0;
+  
+  matchedRows.forEach(row => {
+    const rejectedAmount = row['Rejected Amount'];
+    if (!(rejectedAmount > 0)) return;
+    
+    const codes = splitDenialCodes(row['Denial Codes']);
+    const rowCodes = codes.length > 0 ? codes : [NO_DENIAL_CODE];
+    const rejectedMinor = toMinorUnits(rejectedAmount, currencyDecimals);
+    const share = Math.floor(rejectedMinor / rowCodes.length);
+    const remainder = rejectedMinor - share * rowCodes.length;
+    totalRejected += rejectedMinor;
+    
+    rowCodes.forEach((code, index) => {
+      if (!denialsByCode[code]) {
+        denialsByCode[code] = { claimIds: new Set(), rejectedAmount: 0 };
+      }
+      denialsByCode[code].claimIds.add(row[submissionIdField]);
+      denialsByCode[code].rejectedAmount += share + (index < remainder ? 1 : 0);
+    });
+  });
+  
+  return Object.keys(denialsByCode)
+    .map(code => ({
+      'Denial Code': code,
+      'Claims': denialsByCode[code].claimIds.size,
+      'Rejected Amount': fromMinorUnits(denialsByCode[code].rejectedAmount, currencyDecimals),
+      'Share of Rejected (%)': totalRejected > 0 
+        ? Math.round(denialsByCode[code].rejectedAmount / totalRejected * 1000) / 10 
+        : 0
+    }))
+    .sort((a, b) => b['Rejected Amount'] - a['Rejected Amount']);
+};
+
+export const findMatchingRecords = (submissionData, remittanceIds, submissionIdField, submissionLineField, idRules) => {
   const matchedRows = [];
   const unmatchedRows = [];
   
   submissionData.forEach(row => {
-    if (remittanceIds.has(row[submissionIdField])) {
+    if (hasClaimId(row, submissionIdField) && remittanceIds.has(rowKey(row, submissionIdField, submissionLineField, idRules))) {
       matchedRows.push(row);
     } else {
       unmatchedRows.push(row);
@@ -97,6 +386,151 @@ export const findMatchingRecords = (submissionData, remittanceIds, submissionIdF
   return { matchedRows, unmatchedRows };
 };
 
+// What to do with submission rows that share an ID (or claim and line key),
+// e.g. one row per activity in a claim-level run
+export const DUPLICATE_SUBMISSION_HANDLINGS = [
+  { value: 'allocate', label: 'Split the payment across the rows' },
+  { value: 'aggregate', label: 'Merge the rows into one claim' }
+];
+
+export const DEFAULT_DUPLICATE_SUBMISSION_HANDLING = 'allocate';
+
+// Submission rows grouped by matching key, in first-seen order. Rows without
+// an ID share no key, so each is a group of its own.
+const groupRowsByKey = (rows, idField, lineField, idRules) => {
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const key = hasClaimId(row, idField) ? rowKey(row, idField, lineField, idRules) : Symbol('blank ID');
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ row, index });
+  });
+  return groups;
+};
+
+// Submission rows whose ID appears on more than one row, listed together
+// with their sheet and row for the warnings section. rowNumbers holds the
+// { sheetName, rowNumber } each row was read from; without it rows are
+// numbered by position.
+export const findDuplicateSubmissions = (
+  submissionData,
+  submissionIdField,
+  submissionAmtField,
+  submissionLineField,
+  idRules,
+  rowNumbers = []
+) => {
+  const duplicates = [];
+
+  groupRowsByKey(submissionData, submissionIdField, submissionLineField, idRules).forEach(group => {
+    if (group.length < 2) return;
+    group.forEach(({ row, index }) => {
+      const origin = rowNumbers[index];
+      duplicates.push({
+        'Sheet': (origin && origin.sheetName) || '',
+        'Row': origin ? origin.rowNumber : index + 1,
+        [submissionIdField]: row[submissionIdField],
+        ...(submissionLineField ? { [submissionLineField]: row[submissionLineField] } : {}),
+        [submissionAmtField]: row[submissionAmtField],
+        'Rows With This ID': group.length
+      });
+    });
+  });
+
+  return duplicates;
+};
+
+// Merge submission rows sharing an ID into the first of them, with the
+// amounts added up, so the claim is matched once against its remittance
+export const aggregateDuplicateSubmissions = (
+  submissionData,
+  submissionIdField,
+  submissionAmtField,
+  submissionLineField,
+  idRules,
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS
+) => {
+  const groups = groupRowsByKey(submissionData, submissionIdField, submissionLineField, idRules);
+  if (groups.size === submissionData.length) return submissionData;
+
+  return Array.from(groups.values()).map(group => ({
+    ...group[0].row,
+    [submissionAmtField]: sumMoney(group.map(({ row }) => parseAmount(row[submissionAmtField])), currencyDecimals),
+    'Merged Rows': group.length
+  }));
+};
+
+// Remit Amt of each matched row that shares its ID with other rows: the
+// remittance for the ID split in proportion to the rows' amounts (equally
+// when they do not add up to more than zero). The split is made in minor
+// units and the last row takes the remainder, so the shares add up exactly.
+export const allocateRemittance = (
+  matchedRows,
+  remittanceAmtSumByID,
+  submissionIdField,
+  submissionAmtField,
+  submissionLineField,
+  idRules,
+  currencyDecimals = DEFAULT_CURRENCY_DECIMALS
+) => {
+  const remitAmtByRow = new Map();
+
+  groupRowsByKey(matchedRows, submissionIdField, submissionLineField, idRules).forEach((group, key) => {
+    if (group.length < 2) return;
+
+    const total = toMinorUnits(remittanceAmtSumByID[key] || 0, currencyDecimals);
+    const amounts = group.map(({ row }) => toMinorUnits(parseAmount(row[submissionAmtField]), currencyDecimals));
+    const amountTotal = amounts.reduce((sum, amount) => sum + amount, 0);
+    const proportional = amountTotal > 0 && amounts.every(amount => amount >= 0);
+    let allocated = 0;
+
+    group.forEach(({ row }, index) => {
+      const share = index === group.length - 1
+        ? total - allocated
+        : Math.round(proportional ? total * amounts[index] / amountTotal : total / group.length);
+      allocated += share;
+      remitAmtByRow.set(row, fromMinorUnits(share, currencyDecimals));
+    });
+  });
+
+  return remitAmtByRow;
+};
+
+// Activity ID, falling back to the service (CPT) code, for activity-level matching
+const findLineField = (headers) => {
+  return headers.find(header => 
+    header.toLowerCase().replace(/\s/g, '') === 'activityid'
+  ) || headers.find(header => 
+    header.toLowerCase() === 'code' || 
+    header.toLowerCase().includes('cpt') || 
+    header.toLowerCase().includes('service code')
+  );
+};
+
+// Remittance rows whose ID (or claim and line key) does not appear in the
+// submission file, e.g. claims submitted elsewhere or mistyped by the payer
+export const findOrphanRemittances = (
+  remittanceData, 
+  submissionData, 
+  remittanceIdField, 
+  submissionIdField, 
+  remittanceLineField, 
+  submissionLineField, 
+  idRules
+) => {
+  const submissionIds = new Set(
+    submissionData
+      .filter(row => hasClaimId(row, submissionIdField))
+      .map(row => rowKey(row, submissionIdField, submissionLineField, idRules))
+  );
+  
+  return remittanceData.filter(row => 
+    !hasClaimId(row, remittanceIdField) || 
+    !submissionIds.has(rowKey(row, remittanceIdField, remittanceLineField, idRules))
+  );
+};
+
 export const identifyColumns = (headers, fileType) => {
   if (fileType === 'remittance') {
     const amtFieldName = headers.find(header => 
@@ -110,7 +544,28 @@ export const identifyColumns = (headers, fileType) => {
       header.toLowerCase() === 'billno'
     ) || headers[0];
     
-    return { amtFieldName, idField };
+    const referenceField = headers.find(header => 
+      header.toLowerCase().includes('reference')
+    );
+    
+    const denialCodeField = headers.find(header => 
+      header.toLowerCase().includes('denial') && 
+      !header.toLowerCase().includes('comment')
+    );
+    
+    const denialCommentField = headers.find(header => 
+      header.toLowerCase().includes('comment') || 
+      header.toLowerCase().includes('remark')
+    );
+    
+    return { 
+      amtFieldName, 
+      idField, 
+      referenceField, 
+      lineField: findLineField(headers), 
+      denialCodeField, 
+      denialCommentField 
+    };
   } else {
     // submission file
     const idField = headers.find(header => 
@@ -118,6 +573,13 @@ export const identifyColumns = (headers, fileType) => {
       header.toLowerCase() === 'id'
     ) || 'Claim ID';
     
-    return { idField };
+    const amtFieldName = headers.find(header => 
+      header.toLowerCase() === 'amt'
+    ) || headers.find(header => 
+      header.toLowerCase().includes('amount') || 
+      header.toLowerCase() === 'net'
+    );
+    
+    return { idField, amtFieldName, lineField: findLineField(headers) };
   }
 };
\ No newline at end of file
@@ -0,0 +1,305 @@
+import {
+  classifyPayment,
+  rollUpClaims,
+  findDuplicateSubmissions,
+  aggregateDuplicateSubmissions,
+  allocateRemittance,
+  processMatchedData,
+  createRemittanceMapping,
+  findMatchingRecords,
+  findOrphanRemittances,
+  findDuplicatePayments,
+  summarizeDenials,
+  NO_DENIAL_CODE
+} from './dataProcessor';
+import { DEFAULT_NORMALIZATION } from './idNormalization';
+
+describe('classifyPayment', () => {
+  test('classifies each payment outcome', () => {
+    expect(classifyPayment(100, -5)).toBe('Reversed');
+    expect(classifyPayment(100, 120)).toBe('Overpaid');
+    expect(classifyPayment(100, 100)).toBe('Fully Paid');
+    expect(classifyPayment(100, 0)).toBe('Fully Denied');
+    expect(classifyPayment(100, 60)).toBe('Partially Paid');
+  });
+
+  test('gives a gap of one minor unit the same status at any amount', () => {
+    expect(classifyPayment(100.01, 100)).toBe('Fully Paid');
+    expect(classifyPayment(1000.01, 1000)).toBe('Fully Paid');
+    expect(classifyPayment(0.07, 0.06)).toBe('Fully Paid');
+    expect(classifyPayment(100.02, 100)).toBe('Partially Paid');
+  });
+
+  test('compares in the currency precision', () => {
+    expect(classifyPayment(10.001, 10, 0.001, 3)).toBe('Fully Paid');
+    expect(classifyPayment(10.002, 10, 0.001, 3)).toBe('Partially Paid');
+    expect(classifyPayment(100.01, 100, 0, 2)).toBe('Partially Paid');
+  });
+});
+
+describe('rollUpClaims', () => {
+  const line = (claim, code, amount, remitted) => ({
+    'Claim': claim,
+    'Code': code,
+    'Amt': amount,
+    'Remit Amt': remitted,
+    'Rejected Amount': amount - remitted
+  });
+
+  test('adds up the matched lines of each claim', () => {
+    const [claim] = rollUpClaims([line('C1', 'A', 60, 60), line('C1', 'B', 40, 30)], [], 'Claim', 'Amt');
+
+    expect(claim).toMatchObject({
+      'Claim': 'C1',
+      'Lines': 2,
+      'Amt': 100,
+      'Remit Amt': 90,
+      'Rejected Amount': 10,
+      'Cut Lines': 1,
+      'Unmatched Lines': 0,
+      'Payment Status': 'Partially Paid'
+    });
+  });
+
+  test('counts unreported lines as billed and rejected', () => {
+    const [claim] = rollUpClaims(
+      [line('C1', 'A', 60, 60)],
+      [{ 'Claim': 'C1', 'Code': 'B', 'Amt': 40.1 }],
+      'Claim',
+      'Amt'
+    );
+
+    expect(claim).toMatchObject({
+      'Lines': 2,
+      'Unmatched Lines': 1,
+      'Amt': 100.1,
+      'Remit Amt': 60,
+      'Rejected Amount': 40.1,
+      'Payment Status': 'Partially Paid'
+    });
+  });
+
+  test('leaves out unmatched lines of claims with no matched line', () => {
+    const claims = rollUpClaims([line('C1', 'A', 60, 60)], [{ 'Claim': 'C2', 'Code': 'A', 'Amt': 10 }], 'Claim', 'Amt');
+
+    expect(claims.map(claim => claim['Claim'])).toEqual(['C1']);
+  });
+});
+
+describe('duplicate submission IDs', () => {
+  const rows = [
+    { 'Claim': 'C1', 'Amt': 60 },
+    { 'Claim': 'C2', 'Amt': 10 },
+    { 'Claim': 'c1 ', 'Amt': 40.1 }
+  ];
+
+  test('lists the rows sharing an ID with their row number', () => {
+    expect(findDuplicateSubmissions(rows, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION)).toEqual([
+      { 'Sheet': '', 'Row': 1, 'Claim': 'C1', 'Amt': 60, 'Rows With This ID': 2 },
+      { 'Sheet': '', 'Row': 3, 'Claim': 'c1 ', 'Amt': 40.1, 'Rows With This ID': 2 }
+    ]);
+  });
+
+  test('locates them by the sheet and sheet row they were read from', () => {
+    const rowNumbers = [
+      { fileName: 'claims.xlsx', sheetName: 'Jan', rowNumber: 2 },
+      { fileName: 'claims.xlsx', sheetName: 'Jan', rowNumber: 3 },
+      { fileName: 'claims.xlsx', sheetName: 'Feb', rowNumber: 5 }
+    ];
+
+    expect(findDuplicateSubmissions(rows, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION, rowNumbers)).toMatchObject([
+      { 'Sheet': 'Jan', 'Row': 2, 'Claim': 'C1' },
+      { 'Sheet': 'Feb', 'Row': 5, 'Claim': 'c1 ' }
+    ]);
+  });
+
+  test('merges them into the first row with the amounts added up', () => {
+    expect(aggregateDuplicateSubmissions(rows, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION)).toEqual([
+      { 'Claim': 'C1', 'Amt': 100.1, 'Merged Rows': 2 },
+      { 'Claim': 'C2', 'Amt': 10, 'Merged Rows': 1 }
+    ]);
+  });
+
+  test('leaves rows with distinct IDs as they are', () => {
+    const distinct = rows.slice(0, 2);
+
+    expect(aggregateDuplicateSubmissions(distinct, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION)).toBe(distinct);
+  });
+});
+
+describe('allocateRemittance', () => {
+  const allocate = (rows, remitted) => allocateRemittance(rows, { 'c1': remitted }, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION);
+
+  test('splits the payment in proportion to the billed amounts', () => {
+    const rows = [{ 'Claim': 'C1', 'Amt': 75 }, { 'Claim': 'C1', 'Amt': 25 }];
+    const shares = allocate(rows, 80);
+
+    expect(rows.map(row => shares.get(row))).toEqual([60, 20]);
+  });
+
+  test('gives the rounding remainder to the last row so the shares add up', () => {
+    const rows = [{ 'Claim': 'C1', 'Amt': 1 }, { 'Claim': 'C1', 'Amt': 1 }, { 'Claim': 'C1', 'Amt': 1 }];
+    const shares = allocate(rows, 100);
+
+    expect(rows.map(row => shares.get(row))).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  test('splits equally when the billed amounts are not positive', () => {
+    const rows = [{ 'Claim': 'C1', 'Amt': 0 }, { 'Claim': 'C1', 'Amt': 0 }];
+    const shares = allocate(rows, 50);
+
+    expect(rows.map(row => shares.get(row))).toEqual([25, 25]);
+  });
+
+  test('leaves rows with a unique ID to take the whole payment', () => {
+    const rows = [{ 'Claim': 'C1', 'Amt': 100 }];
+    const shares = allocate(rows, 90);
+    const [row] = processMatchedData(rows, 'Claim', { 'c1': 90 }, 'Amt', undefined, DEFAULT_NORMALIZATION, {}, {}, 0.01, 2, shares);
+
+    expect(shares.size).toBe(0);
+    expect(row).toMatchObject({ 'Remit Amt': 90, 'Rejected Amount': 10 });
+  });
+
+  test('gives each matched row its share as Remit Amt', () => {
+    const rows = [{ 'Claim': 'C1', 'Amt': 75 }, { 'Claim': 'C1', 'Amt': 25 }];
+    const matched = processMatchedData(rows, 'Claim', { 'c1': 80 }, 'Amt', undefined, DEFAULT_NORMALIZATION, {}, {}, 0.01, 2, allocate(rows, 80));
+
+    expect(matched.map(row => [row['Remit Amt'], row['Rejected Amount'], row['Payment Status']])).toEqual([
+      [60, 15, 'Partially Paid'],
+      [20, 5, 'Partially Paid']
+    ]);
+  });
+});
+
+describe('rows without a claim ID', () => {
+  const remittance = [{ 'ID': '', 'Paid': 10 }, { 'ID': null, 'Paid': 5 }, { 'ID': 'C1', 'Paid': 90 }];
+  const submission = [{ 'Claim': ' ', 'Amt': 999 }, { 'Claim': 'C1', 'Amt': 100 }];
+
+  test('are left out of the remittance sums', () => {
+    const { remittanceAmtSumByID } = createRemittanceMapping(remittance, 'ID', 'Paid', undefined, DEFAULT_NORMALIZATION);
+
+    expect(remittanceAmtSumByID).toEqual({ 'c1': 90 });
+  });
+
+  test('stay unmatched on the submission side', () => {
+    const { matchedRows, unmatchedRows } = findMatchingRecords(submission, new Set(['', 'c1']), 'Claim', undefined, DEFAULT_NORMALIZATION);
+
+    expect(matchedRows).toEqual([submission[1]]);
+    expect(unmatchedRows).toEqual([submission[0]]);
+  });
+
+  test('are orphans on the remittance side', () => {
+    const orphans = findOrphanRemittances(remittance, [{ 'Claim': '' }, ...submission], 'ID', 'Claim', undefined, undefined, DEFAULT_NORMALIZATION);
+
+    expect(orphans).toEqual(remittance.slice(0, 2));
+  });
+
+  test('are not merged as duplicates of each other', () => {
+    const rows = [{ 'Claim': '', 'Amt': 1 }, { 'Claim': '', 'Amt': 2 }];
+
+    expect(findDuplicateSubmissions(rows, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION)).toEqual([]);
+    expect(aggregateDuplicateSubmissions(rows, 'Claim', 'Amt', undefined, DEFAULT_NORMALIZATION)).toBe(rows);
+  });
+});
+
+describe('findDuplicatePayments', () => {
+  const payment = (file, id, paid, reference) => ({ 'ID': id, 'Paid': paid, 'Reference': reference, 'Source File': file });
+
+  test('flags a payment repeated in another file as a duplicate of the first file', () => {
+    const rows = [
+      payment('jan.xml', 'C1', 90, 'REF1'),
+      payment('feb.xml', 'C1', '90.00', 'REF1'),
+      payment('feb.xml', 'C2', 50, 'REF1')
+    ];
+    const { uniqueRows, duplicateRows } = findDuplicatePayments(rows, 'ID', 'Paid', 'Reference');
+
+    expect(uniqueRows).toEqual([rows[0], rows[2]]);
+    expect(duplicateRows).toEqual([{ ...rows[1], 'Duplicate Of': 'jan.xml' }]);
+  });
+
+  test('keeps equal payments within one file, which are separate lines', () => {
+    const rows = [payment('jan.xml', 'C1', 45, 'REF1'), payment('jan.xml', 'C1', 45, 'REF1')];
+    const { uniqueRows, duplicateRows } = findDuplicatePayments(rows, 'ID', 'Paid', 'Reference');
+
+    expect(uniqueRows).toEqual(rows);
+    expect(duplicateRows).toEqual([]);
+  });
+
+  test('keeps payments of a different amount or reference', () => {
+    const rows = [
+      payment('jan.xml', 'C1', 90, 'REF1'),
+      payment('feb.xml', 'C1', 10, 'REF1'),
+      payment('feb.xml', 'C1', 90, 'REF2')
+    ];
+
+    expect(findDuplicatePayments(rows, 'ID', 'Paid', 'Reference').duplicateRows).toEqual([]);
+  });
+
+  test('keeps payments without a reference, which cannot be told apart', () => {
+    const rows = [payment('jan.xml', 'C1', 90, ''), payment('feb.xml', 'C1', 90, '')];
+
+    expect(findDuplicatePayments(rows, 'ID', 'Paid', 'Reference').uniqueRows).toEqual(rows);
+  });
+});
+
+describe('summarizeDenials', () => {
+  test('splits a rejected amount across the row codes so the shares add up', () => {
+    const rows = [{ 'Claim': 'C1', 'Rejected Amount': 10, 'Denial Codes': 'A, B; C' }];
+    const denials = summarizeDenials(rows, 'Claim');
+
+    expect(denials.map(denial => [denial['Denial Code'], denial['Rejected Amount']])).toEqual([
+      ['A', 3.34],
+      ['B', 3.33],
+      ['C', 3.33]
+    ]);
+    const total = denials.reduce((sum, denial) => sum + Math.round(denial['Rejected Amount'] * 100), 0);
+    expect(total).toBe(1000);
+  });
+
+  test('totals each code over claims and gives its share of the rejected amount', () => {
+    const rows = [
+      { 'Claim': 'C1', 'Rejected Amount': 30, 'Denial Codes': 'A' },
+      { 'Claim': 'C2', 'Rejected Amount': 10, 'Denial Codes': 'A,B' },
+      { 'Claim': 'C3', 'Rejected Amount': 5, 'Denial Codes': '' },
+      { 'Claim': 'C4', 'Rejected Amount': 0, 'Denial Codes': 'B' }
+    ];
+
+    expect(summarizeDenials(rows, 'Claim')).toEqual([
+      { 'Denial Code': 'A', 'Claims': 2, 'Rejected Amount': 35, 'Share of Rejected (%)': 77.8 },
+      { 'Denial Code': 'B', 'Claims': 1, 'Rejected Amount': 5, 'Share of Rejected (%)': 11.1 },
+      { 'Denial Code': NO_DENIAL_CODE, 'Claims': 1, 'Rejected Amount': 5, 'Share of Rejected (%)': 11.1 }
+    ]);
+  });
+
+  test('splits in the currency precision', () => {
+    const rows = [{ 'Claim': 'C1', 'Rejected Amount': 1, 'Denial Codes': 'A,B,C' }];
+
+    expect(summarizeDenials(rows, 'Claim', 3).map(denial => denial['Rejected Amount'])).toEqual([0.334, 0.333, 0.333]);
+  });
+});
+
+describe('findOrphanRemittances', () => {
+  const submission = [
+    { 'Claim': 'C1', 'Line': 'A1' },
+    { 'Claim': 'C1', 'Line': 'A2' },
+    { 'Claim': 'C2', 'Line': 'A1' }
+  ];
+  const remittance = [
+    { 'ID': ' c1', 'ActivityID': 'A1', 'Paid': 10 },
+    { 'ID': 'C1', 'ActivityID': 'A3', 'Paid': 20 },
+    { 'ID': 'C3', 'ActivityID': 'A1', 'Paid': 30 },
+    { 'ID': 'C2', 'ActivityID': 'A1', 'Paid': 40 }
+  ];
+
+  test('lists payments whose claim is not in the submission', () => {
+    const orphans = findOrphanRemittances(remittance, submission, 'ID', 'Claim', undefined, undefined, DEFAULT_NORMALIZATION);
+
+    expect(orphans).toEqual([remittance[2]]);
+  });
+
+  test('at activity level also lists payments for lines the claim was not billed for', () => {
+    const orphans = findOrphanRemittances(remittance, submission, 'ID', 'Claim', 'ActivityID', 'Line', DEFAULT_NORMALIZATION);
+
+    expect(orphans).toEqual([remittance[1], remittance[2]]);
+  });
+});
@@ -0,0 +1,127 @@
+// Date values read from the reports, and how they are shown and exported
+
+// Display formats for date columns, as Excel number format codes. The same
+// codes format dates on screen and in CSV downloads.
+export const DATE_FORMATS = [
+  { value: 'dd/mm/yyyy', label: '31/12/2024' },
+  { value: 'dd/mm/yyyy hh:mm', label: '31/12/2024 14:30' },
+  { value: 'dd-mmm-yyyy', label: '31-Dec-2024' },
+  { value: 'yyyy-mm-dd', label: '2024-12-31' }
+];
+
+export const DEFAULT_DATE_FORMAT = DATE_FORMATS[0].value;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Text dates found in the reports, each with an optional time:
+// 2024-03-05, 05-Mar-2024 and the day-first 05/03/2024 of the e-claim files
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const NAMED_MONTH_DATE = /^(\d{1,2})[- /]([A-Za-z]{3,9})[- /](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const DAY_FIRST_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AaPp][Mm]))?)?$/;
+
+export const isDateValue = (value) => value instanceof Date && !isNaN(value.getTime());
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Local date from its parts, or null when a part is out of range (31/02)
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null;
+};
+
+// Date for a text date in one of the formats above, otherwise null
+export const parseDateText = (text) => {
+  if (typeof text !== 'string') return null;
+  const value = text.trim();
+  let match;
+
+  if ((match = value.match(ISO_DATE))) {
+    const [, year, month, day, hours, minutes, seconds] = match;
+    return buildDate(Number(year), Number(month), Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+  }
+
+  if ((match = value.match(NAMED_MONTH_DATE))) {
+    const [, day, monthName, year, hours, minutes, seconds] = match;
+    const month = MONTH_NAMES.findIndex(name => monthName.toLowerCase().startsWith(name.toLowerCase())) + 1;
+    if (month === 0) return null;
+    return buildDate(Number(year), month, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+  }
+
+  if ((match = value.match(DAY_FIRST_DATE))) {
+    const [, day, month, year, hours, minutes, seconds, meridiem] = match;
+    let hour = Number(hours || 0);
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    }
+    return buildDate(Number(year), Number(month), Number(day), hour, Number(minutes || 0), Number(seconds || 0));
+  }
+
+  return null;
+};
+
+// Convert the columns whose non-blank values are all dates, typed or text,
+// into Date values. Returns the rows and the names of the date columns.
+export const convertDateColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+
+  const dateColumns = Array.from(columns).filter(column => {
+    let hasDate = false;
+    for (const row of rows) {
+      const value = row[column];
+      if (isBlank(value)) continue;
+      if (!isDateValue(value) && !parseDateText(value)) return false;
+      hasDate = true;
+    }
+    return hasDate;
+  });
+
+  if (dateColumns.length === 0) return { rows, dateColumns };
+
+  const convertedRows = rows.map(row => {
+    const converted = { ...row };
+    dateColumns.forEach(column => {
+      if (typeof row[column] === 'string' && !isBlank(row[column])) {
+        converted[column] = parseDateText(row[column]);
+      }
+    });
+    return converted;
+  });
+
+  return { rows: convertedRows, dateColumns };
+};
+
+// Date as text in one of the format codes: yyyy, mmm, mm, dd and hh:mm
+export const formatDate = (date, format = DEFAULT_DATE_FORMAT) => {
+  const pad = (number) => String(number).padStart(2, '0');
+  return format.replace(/yyyy|mmm|hh:mm|mm|dd/g, token => {
+    switch (token) {
+      case 'yyyy': return String(date.getFullYear());
+      case 'mmm': return MONTH_NAMES[date.getMonth()];
+      case 'hh:mm': return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+      case 'mm': return pad(date.getMonth() + 1);
+      default: return pad(date.getDate());
+    }
+  });
+};
+
+// Cell value as shown in the result tables
+export const displayValue = (value, dateFormat = DEFAULT_DATE_FORMAT) => {
+  if (isDateValue(value)) return formatDate(value, dateFormat);
+  return value !== null && value !== undefined ? value.toString() : '';
+};
+
+// ExcelJS writes dates as UTC, so shift a local date to the UTC instant with
+// the same calendar fields to keep the day and time the report showed
+export const toExcelDate = (date) => new Date(Date.UTC(
+  date.getFullYear(),
+  date.getMonth(),
+  date.getDate(),
+  date.getHours(),
+  date.getMinutes(),
+  date.getSeconds()
+));
@@ -0,0 +1,73 @@
+import { parseDateText, convertDateColumns, formatDate, displayValue, toExcelDate } from './dates';
+
+describe('parseDateText', () => {
+  test('reads ISO, named month and day-first dates', () => {
+    expect(parseDateText('2024-03-05')).toEqual(new Date(2024, 2, 5));
+    expect(parseDateText('05-Mar-2024')).toEqual(new Date(2024, 2, 5));
+    expect(parseDateText('5 March 2024')).toEqual(new Date(2024, 2, 5));
+    expect(parseDateText('05/03/2024')).toEqual(new Date(2024, 2, 5));
+  });
+
+  test('reads times, including 12-hour times', () => {
+    expect(parseDateText('2024-03-05T14:30')).toEqual(new Date(2024, 2, 5, 14, 30));
+    expect(parseDateText('05/03/2024 02:30 PM')).toEqual(new Date(2024, 2, 5, 14, 30));
+    expect(parseDateText('05/03/2024 12:15 am')).toEqual(new Date(2024, 2, 5, 0, 15));
+  });
+
+  test('rejects dates and times that do not exist', () => {
+    expect(parseDateText('31/02/2024')).toBeNull();
+    expect(parseDateText('2024-13-01')).toBeNull();
+    expect(parseDateText('05/03/2024 25:00')).toBeNull();
+    expect(parseDateText('05/03/2024 13:00 PM')).toBeNull();
+    expect(parseDateText('05-Foo-2024')).toBeNull();
+  });
+
+  test('leaves text that is not a date', () => {
+    expect(parseDateText('CLM-2024-03')).toBeNull();
+    expect(parseDateText('12345')).toBeNull();
+    expect(parseDateText(45000)).toBeNull();
+  });
+});
+
+describe('convertDateColumns', () => {
+  test('converts columns whose values are all dates and leaves the rest', () => {
+    const typed = new Date(2024, 0, 2);
+    const { rows, dateColumns } = convertDateColumns([
+      { 'ID': '01/02/2024', 'Service Date': '05/03/2024', 'Paid On': typed },
+      { 'ID': 'C2', 'Service Date': '', 'Paid On': typed }
+    ]);
+
+    expect(dateColumns).toEqual(['Service Date', 'Paid On']);
+    expect(rows[0]).toEqual({ 'ID': '01/02/2024', 'Service Date': new Date(2024, 2, 5), 'Paid On': typed });
+    expect(rows[1]['Service Date']).toBe('');
+  });
+
+  test('returns the same rows when there is no date column', () => {
+    const rows = [{ 'ID': 'C1' }];
+
+    expect(convertDateColumns(rows)).toEqual({ rows, dateColumns: [] });
+  });
+});
+
+describe('formatDate', () => {
+  const date = new Date(2024, 11, 31, 14, 5);
+
+  test('writes each display format', () => {
+    expect(formatDate(date)).toBe('31/12/2024');
+    expect(formatDate(date, 'dd/mm/yyyy hh:mm')).toBe('31/12/2024 14:05');
+    expect(formatDate(date, 'dd-mmm-yyyy')).toBe('31-Dec-2024');
+    expect(formatDate(date, 'yyyy-mm-dd')).toBe('2024-12-31');
+  });
+
+  test('shows dates in the chosen format and other values as text', () => {
+    expect(displayValue(date, 'yyyy-mm-dd')).toBe('2024-12-31');
+    expect(displayValue(12.5)).toBe('12.5');
+    expect(displayValue(null)).toBe('');
+  });
+});
+
+test('toExcelDate keeps the calendar fields in UTC', () => {
+  const excelDate = toExcelDate(new Date(2024, 2, 5, 23, 30));
+
+  expect(excelDate.toISOString()).toBe('2024-03-05T23:30:00.000Z');
+});
@@ -0,0 +1,156 @@
+import { isDateValue, formatDate, DEFAULT_DATE_FORMAT } from './dates';
+
+// Reading and writing of CSV / TSV text
+
+// Delimiters tried when sniffing, in order of preference on a tie
+const DELIMITERS = [',', '\t', ';', '|'];
+
+export const DELIMITER_NAMES = {
+  ',': 'comma',
+  '\t': 'tab',
+  ';': 'semicolon',
+  '|': 'pipe'
+};
+
+// Lines inspected when detecting the delimiter
+const SNIFF_LINES = 20;
+
+const UTF8_BOM = [0xEF, 0xBB, 0xBF];
+
+// Exports start with a BOM so Excel opens UTF-8 (e.g. Arabic names) correctly
+const CSV_BOM = '\uFEFF';
+
+const startsWithBytes = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+
+// Decode text files from the portals: UTF-8 with or without BOM, UTF-16
+// with a BOM, and otherwise Windows-1256 (Arabic) when the bytes are not
+// valid UTF-8
+export const decodeDelimitedText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+
+  if (startsWithBytes(bytes, UTF8_BOM)) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8 with BOM' };
+  }
+  if (startsWithBytes(bytes, [0xFF, 0xFE])) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16 LE' };
+  }
+  if (startsWithBytes(bytes, [0xFE, 0xFF])) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16 BE' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1256').decode(bytes), encoding: 'Windows-1256' };
+  }
+};
+
+// Number of delimiters on a line, ignoring any inside quoted fields
+const countDelimiters = (line, delimiter) => {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// Pick the delimiter that splits the first lines into the most columns, as
+// consistently as possible. Title lines above the table are allowed to differ.
+export const detectDelimiter = (text) => {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, SNIFF_LINES);
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countDelimiters(line, delimiter));
+    const frequency = {};
+    counts.forEach(count => {
+      if (count > 0) frequency[count] = (frequency[count] || 0) + 1;
+    });
+
+    // Most common non-zero column count, weighted by how many lines share it
+    Object.keys(frequency).forEach(count => {
+      const score = frequency[count] * Number(count);
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    });
+  });
+
+  return best.delimiter;
+};
+
+// Whether the start of a file looks like delimited text rather than binary:
+// no NUL bytes and a delimiter on one of the first lines (after any titles)
+export const looksLikeDelimitedText = (head) => {
+  if (head.includes('\u0000')) return false;
+  const lines = head.split(/\r\n|\n|\r/).slice(0, SNIFF_LINES);
+  return lines.some(line => DELIMITERS.some(delimiter => line.includes(delimiter)));
+};
+
+// RFC 4180 parsing into an array of rows; quoted fields may contain the
+// delimiter, doubled quotes and line breaks. Cells stay text so IDs such as
+// "00123" keep their leading zeros.
+export const parseDelimitedText = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const escapeField = (value, delimiter, dateFormat) => {
+  if (value === undefined || value === null) return '';
+  const text = isDateValue(value) ? formatDate(value, dateFormat) : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Rows of objects as delimited text, with a header line of the given columns.
+// Dates are written in dateFormat.
+export const toDelimitedText = (rows, headers, delimiter = ',', dateFormat = DEFAULT_DATE_FORMAT) => {
+  const lines = [
+    headers.map(header => escapeField(header, delimiter, dateFormat)).join(delimiter),
+    ...rows.map(row => headers.map(header => escapeField(row[header], delimiter, dateFormat)).join(delimiter))
+  ];
+  return `${CSV_BOM}${lines.join('\r\n')}\r\n`;
+};
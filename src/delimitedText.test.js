@@ -0,0 +1,82 @@
+/** @jest-environment node */
+import {
+  decodeDelimitedText,
+  detectDelimiter,
+  looksLikeDelimitedText,
+  parseDelimitedText,
+  toDelimitedText
+} from './delimitedText';
+
+describe('decodeDelimitedText', () => {
+  test('reads UTF-8 with and without a BOM', () => {
+    expect(decodeDelimitedText(Buffer.from('\uFEFFID,Name\n1,أحمد'))).toEqual({ text: 'ID,Name\n1,أحمد', encoding: 'UTF-8 with BOM' });
+    expect(decodeDelimitedText(Buffer.from('ID,Name\n1,أحمد'))).toEqual({ text: 'ID,Name\n1,أحمد', encoding: 'UTF-8' });
+  });
+
+  test('reads UTF-16 with a BOM', () => {
+    const bytes = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('ID\tName', 'utf16le')]);
+
+    expect(decodeDelimitedText(bytes)).toEqual({ text: 'ID\tName', encoding: 'UTF-16 LE' });
+  });
+
+  test('falls back to Windows-1256 for bytes that are not UTF-8', () => {
+    // "أحمد" in Windows-1256
+    const bytes = Buffer.from([0x31, 0x2C, 0xC3, 0xCD, 0xE3, 0xCF]);
+
+    expect(decodeDelimitedText(bytes)).toEqual({ text: '1,أحمد', encoding: 'Windows-1256' });
+  });
+});
+
+describe('detectDelimiter', () => {
+  test('picks the delimiter that splits the lines most consistently', () => {
+    expect(detectDelimiter('ID,Name\n1,Ali\n2,Sara')).toBe(',');
+    expect(detectDelimiter('ID\tName\tAmount\n1\tAli, Jr\t10')).toBe('\t');
+    expect(detectDelimiter('Report, March\nID;Name;Amount\n1;Ali;10,5\n2;Sara;7')).toBe(';');
+  });
+
+  test('ignores delimiters inside quoted fields', () => {
+    expect(detectDelimiter('ID|Name\n1|"Ali, Sara, Omar"\n2|"Bob, Jr"')).toBe('|');
+  });
+});
+
+test('looksLikeDelimitedText rejects binary content', () => {
+  expect(looksLikeDelimitedText('ID,Name\n1,Ali')).toBe(true);
+  expect(looksLikeDelimitedText('PK\u0003\u0004\u0000,')).toBe(false);
+  expect(looksLikeDelimitedText('just a line of text')).toBe(false);
+});
+
+describe('parseDelimitedText', () => {
+  test('splits rows and fields and keeps cells as text', () => {
+    expect(parseDelimitedText('ID,Amount\r\n00123,10.50\n', ',')).toEqual([['ID', 'Amount'], ['00123', '10.50']]);
+  });
+
+  test('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    expect(parseDelimitedText('"Smith, J","say ""hi""","line 1\nline 2"', ',')).toEqual([
+      ['Smith, J', 'say "hi"', 'line 1\nline 2']
+    ]);
+  });
+
+  test('keeps blank lines as rows', () => {
+    expect(parseDelimitedText('A\n\nB', ',')).toEqual([['A'], [''], ['B']]);
+  });
+});
+
+describe('toDelimitedText', () => {
+  test('writes a BOM, a header line and quoted fields where needed', () => {
+    const text = toDelimitedText(
+      [{ 'ID': 'C1', 'Note': 'a, "b"', 'Date': new Date(2024, 2, 5) }, { 'ID': 'C2' }],
+      ['ID', 'Note', 'Date'],
+      ',',
+      'yyyy-mm-dd'
+    );
+
+    expect(text).toBe('\uFEFFID,Note,Date\r\nC1,"a, ""b""",2024-03-05\r\nC2,,\r\n');
+  });
+
+  test('round-trips through parseDelimitedText', () => {
+    const rows = [{ 'ID': '007', 'Name': 'O\'Neil\tJr' }];
+    const text = toDelimitedText(rows, ['ID', 'Name'], '\t').slice(1);
+
+    expect(parseDelimitedText(text.trim(), '\t')).toEqual([['ID', 'Name'], ['007', 'O\'Neil\tJr']]);
+  });
+});
@@ -1,211 +1,969 @@
 import * as XLSX from 'xlsx';
-import { findHeaderRow } from './headerDetection';
+import { XMLParser } from 'fast-xml-parser';
+import { findHeaderRow, scoreHeaderRows, isTwoLineHeader, headerNames } from './headerDetection';
+import { headerSignature } from './mappingProfiles';
+import { DEFAULT_FORMAT_RULES, cellStylesForRow } from './formatRules';
+import { parseMoney, isBlankAmount, DEFAULT_CURRENCY_DECIMALS, moneyNumberFormat } from './money';
+import { convertDateColumns, isDateValue, formatDate, toExcelDate, DEFAULT_DATE_FORMAT } from './dates';
+import {
+  decodeDelimitedText,
+  detectDelimiter,
+  looksLikeDelimitedText,
+  parseDelimitedText,
+  toDelimitedText,
+  DELIMITER_NAMES
+} from './delimitedText';
 
-export const readExcelFile = (file, setDebugInfo) => {
+// Elements that may repeat in e-claim XML and must always be parsed as arrays
+const XML_REPEATING_ELEMENTS = ['Claim', 'Activity', 'Diagnosis', 'Observation'];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false, // Keep IDs such as "00123" as text
+  trimValues: true,
+  isArray: (name) => XML_REPEATING_ELEMENTS.includes(name)
+});
+
+const xmlText = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Amounts in e-claim XML are plain decimals; anything unreadable is kept as
+// text so it is reported with the other unparsed amount cells. A missing or
+// empty element is blank, like an empty spreadsheet cell, rather than 0.
+const xmlNumber = (value) => {
+  if (isBlankAmount(value)) return '';
+  const number = parseMoney(value);
+  return number === null ? xmlText(value) : number;
+};
+
+// Number of leading bytes inspected when sniffing the file type
+const FILE_SIGNATURE_BYTES = 1024;
+
+export const FILE_TYPE_LABELS = {
+  'xlsx': 'Excel workbook',
+  'xls': 'Excel 97-2003 workbook',
+  'spreadsheet-xml': 'Excel XML spreadsheet',
+  'remittance-xml': 'Remittance.Advice XML',
+  'submission-xml': 'Claim.Submission XML',
+  'csv': 'CSV / TSV text',
+  'xml': 'XML document',
+  'unknown': 'unknown format'
+};
+
+// File types each upload control can read
+export const SUPPORTED_FILE_TYPES = {
+  remittance: ['xlsx', 'xls', 'spreadsheet-xml', 'remittance-xml', 'csv'],
+  submission: ['xlsx', 'xls', 'spreadsheet-xml', 'submission-xml', 'csv']
+};
+
+// File picker filter; the reader is still chosen from the file content
+export const SUPPORTED_FILE_EXTENSIONS = '.xlsx, .xls, .xml, .csv, .tsv, .txt';
+
+const readFileAsArrayBuffer = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = (error) => reject(error);
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+// XML readers decode the bytes themselves so they also work on Node buffers
+const decodeText = (buffer) => new TextDecoder('utf-8').decode(buffer);
+
+// Flatten a Remittance.Advice document into one row per Activity. Claim level
+// fields are repeated on each row so the result has the same shape as a
+// spreadsheet remittance report (ID + PaymentAmount per line).
+export const parseRemittanceAdviceXml = (xml) => {
+  const parsed = xmlParser.parse(xml);
+  const advice = parsed['Remittance.Advice'];
+  
+  if (!advice) {
+    throw new Error('File is not a Remittance.Advice XML document');
+  }
+  
+  const rows = [];
+  
+  (advice.Claim || []).forEach(claim => {
+    const claimFields = {
+      'ID': xmlText(claim.ID),
+      'IDPayer': xmlText(claim.IDPayer),
+      'ProviderID': xmlText(claim.ProviderID),
+      'PaymentReference': xmlText(claim.PaymentReference),
+      'DateSettlement': xmlText(claim.DateSettlement),
+      'FacilityID': xmlText(claim.Encounter?.FacilityID)
+    };
     
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        
-        // First read to get the cell types and formats
-        const workbook = XLSX.read(data, { 
-          type: 'array',
-          cellDates: true,  // Parse dates as Date objects to identify them
-          cellNF: true,     // Keep number formats
-          cellStyles: true  // Keep cell styles
-        });
-        
-        // Get first sheet
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        
-        // Get raw data for header detection
-        const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-          header: 1,
-          defval: ''
+    const activities = claim.Activity || [];
+    
+    // Claims rejected as a whole may come without any Activity nodes
+    if (activities.length === 0) {
+      rows.push({
+        ...claimFields,
+        'ActivityID': '',
+        'Start': '',
+        'Type': '',
+        'Code': '',
+        'Quantity': 0,
+        'Net': 0,
+        'PaymentAmount': 0,
+        'DenialCode': xmlText(claim.DenialCode),
+        'Clinician': ''
+      });
+      return;
+    }
+    
+    activities.forEach(activity => {
+      rows.push({
+        ...claimFields,
+        'ActivityID': xmlText(activity.ID),
+        'Start': xmlText(activity.Start),
+        'Type': xmlText(activity.Type),
+        'Code': xmlText(activity.Code),
+        'Quantity': xmlNumber(activity.Quantity),
+        'Net': xmlNumber(activity.Net),
+        'PaymentAmount': xmlNumber(activity.PaymentAmount),
+        'DenialCode': xmlText(activity.DenialCode || claim.DenialCode),
+        'Clinician': xmlText(activity.Clinician)
+      });
+    });
+  });
+  
+  return rows;
+};
+
+// Turn a Claim.Submission document into one row per Claim, with the claim
+// Net amount exposed as "Amt" like the spreadsheet submission reports. At
+// activity level there is one row per Activity carrying the activity Net.
+export const parseClaimSubmissionXml = (xml, activityLevel = false) => {
+  const parsed = xmlParser.parse(xml);
+  const submission = parsed['Claim.Submission'];
+  
+  if (!submission) {
+    throw new Error('File is not a Claim.Submission XML document');
+  }
+  
+  const rows = [];
+  
+  (submission.Claim || []).forEach(claim => {
+    const encounter = claim.Encounter || {};
+    const activities = claim.Activity || [];
+    const principalDiagnosis = (claim.Diagnosis || []).find(diagnosis => 
+      xmlText(diagnosis.Type).toLowerCase() === 'principal'
+    );
+    
+    if (activityLevel) {
+      activities.forEach(activity => {
+        rows.push({
+          'Claim ID': xmlText(claim.ID),
+          'Activity ID': xmlText(activity.ID),
+          'IDPayer': xmlText(claim.IDPayer),
+          'MemberID': xmlText(claim.MemberID),
+          'PayerID': xmlText(claim.PayerID),
+          'FacilityID': xmlText(encounter.FacilityID),
+          'PatientID': xmlText(encounter.PatientID),
+          'Activity Start': xmlText(activity.Start),
+          'Activity Type': xmlText(activity.Type),
+          'Code': xmlText(activity.Code),
+          'Quantity': xmlNumber(activity.Quantity),
+          'Amt': xmlNumber(activity.Net),
+          'Clinician': xmlText(activity.Clinician),
+          'PriorAuthorizationID': xmlText(activity.PriorAuthorizationID)
         });
-        
-        // Use advanced header detection to find the most likely header row
-        const headerRowIndex = findHeaderRow(rawData);
-        setDebugInfo(prev => prev + `Detected header row at index ${headerRowIndex} for ${file.name}\n`);
-        
-        // Process the sheet manually to handle dates properly
-        const range = XLSX.utils.decode_range(worksheet['!ref']);
-        const headers = [];
-        const dateColumns = [];
-        const finalData = [];
-        
-        // Find all date columns by checking cell types in the first data row after headers
-        for (let C = range.s.c; C <= range.e.c; ++C) {
-          const headerCellRef = XLSX.utils.encode_cell({ r: headerRowIndex, c: C });
-          
-          if (headerCellRef && worksheet[headerCellRef]) {
-            headers[C] = worksheet[headerCellRef].v;
-          }
-          
-          // Check next row for dates
-          const dataCellRef = XLSX.utils.encode_cell({ r: headerRowIndex + 1, c: C });
-          if (worksheet[dataCellRef] && worksheet[dataCellRef].t === 'd') {
-            dateColumns.push(C);
-          }
-        }
-        
-        // Create objects with properly formatted dates - start from the row after headers
-        for (let R = headerRowIndex + 1; R <= range.e.r; ++R) {
-          const row = {};
-          
-          // Skip entirely empty rows
-          let isEmpty = true;
-          
-          for (let C = range.s.c; C <= range.e.c; ++C) {
-            const cellRef = XLSX.utils.encode_cell({ r: R, c: C });
-            const headerRef = XLSX.utils.encode_cell({ r: headerRowIndex, c: C });
-            
-            if (!worksheet[headerRef]) continue;
-            
-            const header = worksheet[headerRef].v;
-            
-            if (worksheet[cellRef]) {
-              isEmpty = false;
-              const cell = worksheet[cellRef];
-              
-              // Format dates specially
-              if (dateColumns.includes(C) && cell.t === 'd') {
-                const date = cell.v;
-                const day = String(date.getDate()).padStart(2, '0');
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const year = date.getFullYear();
-                
-                let timeStr = '';
-                if (date.getHours() || date.getMinutes() || date.getSeconds()) {
-                  const hours = String(date.getHours()).padStart(2, '0');
-                  const minutes = String(date.getMinutes()).padStart(2, '0');
-                  const seconds = String(date.getSeconds()).padStart(2, '0');
-                  const ampm = date.getHours() >= 12 ? 'PM' : 'AM';
-                  const hours12 = date.getHours() % 12 || 12;
-                  timeStr = `  ${hours12}:${minutes}:${seconds} ${ampm}`;
-                }
-                
-                row[header] = `${day}/${month}/${year}${timeStr}`;
-              } else {
-                row[header] = cell.v;
-              }
-            } else {
-              row[header] = '';
-            }
-          }
-          
-          if (!isEmpty) {
-            finalData.push(row);
-          }
-        }
-        
-        resolve(finalData);
-      } catch (error) {
-        reject(error);
-      }
-    };
+      });
+      return;
+    }
     
-    reader.onerror = (error) => reject(error);
-    reader.readAsArrayBuffer(file);
+    rows.push({
+      'Claim ID': xmlText(claim.ID),
+      'IDPayer': xmlText(claim.IDPayer),
+      'MemberID': xmlText(claim.MemberID),
+      'PayerID': xmlText(claim.PayerID),
+      'ProviderID': xmlText(claim.ProviderID),
+      'EmiratesIDNumber': xmlText(claim.EmiratesIDNumber),
+      'Gross': xmlNumber(claim.Gross),
+      'PatientShare': xmlNumber(claim.PatientShare),
+      'Amt': xmlNumber(claim.Net),
+      'FacilityID': xmlText(encounter.FacilityID),
+      'PatientID': xmlText(encounter.PatientID),
+      'Encounter Start': xmlText(encounter.Start),
+      'Encounter End': xmlText(encounter.End),
+      'Principal Diagnosis': principalDiagnosis ? xmlText(principalDiagnosis.Code) : '',
+      'Activity Count': activities.length
+    });
   });
+  
+  return rows;
 };
 
-export const downloadExcelFile = async (data, filename, sheetName, setStatus, setError) => {
-  if (!data || data.length === 0) {
-    setError(`No ${sheetName} data to download`);
-    return;
+// Every activity of a Claim.Submission XML file, one row each as read at
+// activity level; null for any other kind of file
+export const readSubmissionActivities = async (file) => {
+  const buffer = await readFileAsArrayBuffer(file);
+  if (detectBufferType(buffer) !== 'submission-xml') return null;
+  return parseClaimSubmissionXml(decodeText(buffer), true);
+};
+
+// Identify the file from its content rather than its extension
+export const detectFileType = async (file) => {
+  const buffer = await readFileAsArrayBuffer(file.slice(0, FILE_SIGNATURE_BYTES));
+  return detectBufferType(buffer);
+};
+
+// Same check on the leading bytes of an already loaded file
+export const detectBufferType = (buffer) => {
+  const bytes = new Uint8Array(buffer).subarray(0, FILE_SIGNATURE_BYTES);
+  
+  // ZIP container (xlsx)
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) {
+    return 'xlsx';
+  }
+  
+  // OLE2 compound document (legacy xls)
+  if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+    return 'xls';
   }
+  
+  const head = decodeDelimitedText(bytes).text.trimStart();
+  
+  if (head.startsWith('<')) {
+    // First element name, skipping the XML declaration and comments
+    const rootMatch = head.match(/<([A-Za-z_][\w.:-]*)/);
+    const rootName = rootMatch ? rootMatch[1] : '';
+    
+    if (rootName === 'Remittance.Advice') return 'remittance-xml';
+    if (rootName === 'Claim.Submission') return 'submission-xml';
+    if (rootName === 'Workbook' || head.includes('progid="Excel.Sheet"')) return 'spreadsheet-xml';
+    return 'xml';
+  }
+  
+  if (looksLikeDelimitedText(head)) {
+    return 'csv';
+  }
+  
+  return 'unknown';
+};
 
-  try {
-    // Dynamic import of ExcelJS
-    const ExcelJS = await import('exceljs');
-    
-    // Create a new workbook
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet(sheetName);
-    
-    // Get headers
-    const headers = Object.keys(data[0]);
-    
-    // Add headers to worksheet
-    worksheet.addRow(headers);
-    
-    // Style the header row
-    const headerRow = worksheet.getRow(1);
-    headerRow.font = { bold: true };
-    headerRow.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFCCCCCC' }
-    };
+const readRemittanceXmlBuffer = (buffer, fileName, setDebugInfo) => {
+  const rows = parseRemittanceAdviceXml(decodeText(buffer));
+  setDebugInfo(prev => prev + `Parsed ${rows.length} activity rows from Remittance.Advice XML ${fileName}\n`);
+  return rows;
+};
+
+const readSubmissionXmlBuffer = (buffer, fileName, setDebugInfo, activityLevel = false) => {
+  const rows = parseClaimSubmissionXml(decodeText(buffer), activityLevel);
+  setDebugInfo(prev => prev + `Parsed ${rows.length} ${activityLevel ? 'activities' : 'claims'} from Claim.Submission XML ${fileName}\n`);
+  return rows;
+};
+
+// Pick the reader for a file based on its detected content. Options:
+// sheetNames - workbook sheets to read, activityLevel - one row per activity,
+// onProgress - called with the number of rows parsed so far,
+// header - { sheetName, row, lines } chosen in the header preview,
+// onHeader - called with the { sheetName, rowNumber, lines, chosen } header
+// row used for each sheet, onRowNumbers - called with the sheet name and the
+// sheet row number of each row read from it, onContents - called with the
+// file's ArrayBuffer
+export const readInputFile = async (file, setDebugInfo, options = {}) => {
+  const buffer = await readFileAsArrayBuffer(file);
+  if (options.onContents) {
+    await options.onContents(buffer);
+  }
+  return readInputBuffer(buffer, file.name, setDebugInfo, options);
+};
+
+// readInputFile for file contents already in memory (ArrayBuffer or Node Buffer).
+// Columns of dates, typed or text, come back as Date values.
+export const readInputBuffer = async (buffer, fileName, setDebugInfo, options = {}) => {
+  const rows = readBufferRows(buffer, fileName, setDebugInfo, options);
+  
+  const { rows: datedRows, dateColumns } = convertDateColumns(rows);
+  if (dateColumns.length > 0) {
+    setDebugInfo(prev => prev + `Date columns in ${fileName}: ${dateColumns.join(', ')}\n`);
+  }
+  return datedRows;
+};
+
+const readBufferRows = (buffer, fileName, setDebugInfo, options) => {
+  const { sheetNames, activityLevel, onProgress, header, onHeader, onRowNumbers } = options;
+  const fileType = detectBufferType(buffer);
+  setDebugInfo(prev => prev + `Detected ${FILE_TYPE_LABELS[fileType]} for ${fileName}\n`);
+  
+  if (fileType === 'remittance-xml') {
+    return readRemittanceXmlBuffer(buffer, fileName, setDebugInfo);
+  }
+  if (fileType === 'submission-xml') {
+    return readSubmissionXmlBuffer(buffer, fileName, setDebugInfo, activityLevel);
+  }
+  if (fileType === 'csv') {
+    return readSheetRows(
+      readDelimitedSheet(buffer, fileName, setDebugInfo), 
+      fileName, 
+      setDebugInfo, 
+      onProgress, 
+      header, 
+      onHeader, 
+      null, 
+      onRowNumbers
+    );
+  }
+  if (fileType === 'xml' || fileType === 'unknown') {
+    throw new Error(`Cannot read ${fileName}: ${FILE_TYPE_LABELS[fileType]}`);
+  }
+  
+  return readWorkbookRows(readWorkbookBuffer(buffer), fileName, setDebugInfo, sheetNames, onProgress, header, onHeader, onRowNumbers);
+};
+
+const readWorkbook = async (file) => {
+  return readWorkbookBuffer(await readFileAsArrayBuffer(file));
+};
+
+const readWorkbookBuffer = (buffer) => {
+  const data = new Uint8Array(buffer);
+  
+  // First read to get the cell types and formats
+  return XLSX.read(data, { 
+    type: 'array',
+    cellDates: false, // Dates stay serial numbers, see sheetCellValue
+    cellNF: true,     // Keep number formats
+    cellStyles: true  // Keep cell styles
+  });
+};
+
+// CSV / TSV as a worksheet, so it goes through the same header detection.
+// Empty fields become missing cells and blank lines are dropped.
+const readDelimitedSheet = (buffer, fileName, setDebugInfo) => {
+  const { text, encoding } = decodeDelimitedText(buffer);
+  const delimiter = detectDelimiter(text);
+  setDebugInfo(prev => prev + `Reading ${fileName} as ${encoding} text with ${DELIMITER_NAMES[delimiter]} delimiter\n`);
+  
+  // Blank lines stay as empty rows so sheet rows are the lines of the file
+  const rows = parseDelimitedText(text, delimiter)
+    .map(row => row.map(value => (value.trim() === '' ? null : value)));
+  return XLSX.utils.aoa_to_sheet(rows);
+};
+
+// Column added to every row of a multi-sheet workbook so rows can be traced
+export const SOURCE_SHEET_COLUMN = 'Source Sheet';
+
+// Rows between progress reports while reading a sheet
+const PROGRESS_INTERVAL_ROWS = 5000;
+
+// Raw cell values for header detection, one array per row from the top of
+// the used range. Blank rows are kept so indexes map back to sheet rows.
+const readRawRows = (worksheet) => XLSX.utils.sheet_to_json(worksheet, { 
+  header: 1,
+  defval: '',
+  blankrows: true
+});
+
+// Merged cell ranges relative to the used range, like the raw rows
+const relativeMerges = (worksheet, range) => (worksheet['!merges'] || []).map(merge => ({
+  s: { r: merge.s.r - range.s.r, c: merge.s.c - range.s.c },
+  e: { r: merge.e.r - range.s.r, c: merge.e.c - range.s.c }
+}));
+
+// Header row (index into the raw rows) and number of header lines: the
+// choice from the header preview if any, otherwise detected
+const locateHeader = (rawData, merges, header) => {
+  if (header) {
+    return { headerRowIndex: header.row, headerLines: header.lines };
+  }
+  
+  // Use advanced header detection to find the most likely header row
+  const headerRowIndex = findHeaderRow(rawData);
+  return { headerRowIndex, headerLines: isTwoLineHeader(rawData, headerRowIndex, merges) ? 2 : 1 };
+};
+
+// Value of a worksheet cell. Date cells are serial numbers with a date
+// format; the date is built from the serial's calendar fields because the
+// cellDates conversion drifts by the historical time zone offset.
+const sheetCellValue = (cell) => {
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    const { y, m, d, H, M, S } = XLSX.SSF.parse_date_code(cell.v);
+    return new Date(y, m - 1, d, H, M, S);
+  }
+  return cell.v;
+};
+
+const readSheetRows = (
+  worksheet, 
+  label, 
+  setDebugInfo, 
+  onProgress, 
+  header = null, 
+  onHeader = null, 
+  sheetName = null, 
+  onRowNumbers = null
+) => {
+  // Sheets with no cells have no range
+  if (!worksheet['!ref']) return [];
+  
+  // Get raw data for header detection
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const rawData = readRawRows(worksheet);
+  const merges = relativeMerges(worksheet, range);
+  
+  const { headerRowIndex, headerLines } = locateHeader(rawData, merges, header);
+  setDebugInfo(prev => prev + 
+    `${header ? 'Using chosen' : 'Detected'} header row at index ${headerRowIndex}` +
+    `${headerLines > 1 ? ' (two lines)' : ''} for ${label}\n`
+  );
+  if (onHeader) {
+    onHeader({ sheetName, rowNumber: range.s.r + headerRowIndex + 1, lines: headerLines, chosen: !!header });
+  }
+  
+  // Process the sheet manually from the header row; date cells keep their
+  // Date values (see convertDateColumns)
+  const headerRow = range.s.r + headerRowIndex;
+  const firstDataRow = headerRow + headerLines;
+  const twoLineNames = headerLines > 1 ? headerNames(rawData, headerRowIndex, headerLines, merges) : null;
+  const headers = [];
+  const finalData = [];
+  // Sheet row number (1-based, as Excel shows it) of each row in finalData
+  const rowNumbers = [];
+  
+  for (let C = range.s.c; C <= range.e.c; ++C) {
+    const headerCellRef = XLSX.utils.encode_cell({ r: headerRow, c: C });
+    
+    if (twoLineNames) {
+      if (twoLineNames[C - range.s.c]) headers[C] = twoLineNames[C - range.s.c];
+    } else if (headerCellRef && worksheet[headerCellRef]) {
+      headers[C] = worksheet[headerCellRef].v;
+    }
+  }
+  
+  // Create objects from the rows after the header
+  for (let R = firstDataRow; R <= range.e.r; ++R) {
+    const row = {};
+    
+    // Skip entirely empty rows
+    let isEmpty = true;
     
-    // Add data rows
-    data.forEach((row, index) => {
-      const rowData = headers.map(header => row[header]);
-      worksheet.addRow(rowData);
+    for (let C = range.s.c; C <= range.e.c; ++C) {
+      const cellRef = XLSX.utils.encode_cell({ r: R, c: C });
       
-      // Apply color coding to Remit Amt column
-      const currentRow = worksheet.getRow(index + 2); // +2 because Excel is 1-indexed and we have a header
-      const remitAmtColIndex = headers.indexOf('Remit Amt');
-      const amtColIndex = headers.indexOf('Amt');
+      if (headers[C] === undefined) continue;
       
-      if (remitAmtColIndex !== -1 && amtColIndex !== -1) {
-        const amtValue = parseFloat(row['Amt']) || 0;
-        const remitAmtValue = parseFloat(row['Remit Amt']) || 0;
-        
-        const remitAmtCell = currentRow.getCell(remitAmtColIndex + 1); // +1 because Excel is 1-indexed
-        
-        if (remitAmtValue < (amtValue * 0.5)) {
-          // Yellow background for less than 50%
-          remitAmtCell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFFFFF00' } // Yellow
-          };
-        } else {
-          // Green background for 50% or more
-          remitAmtCell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FF90EE90' } // Light Green
-          };
-        }
+      const header = headers[C];
+      
+      if (worksheet[cellRef]) {
+        isEmpty = false;
+        row[header] = sheetCellValue(worksheet[cellRef]);
+      } else {
+        row[header] = '';
       }
-    });
+    }
     
-    // Auto-fit columns
-    worksheet.columns.forEach((column, index) => {
-      let maxLength = headers[index] ? headers[index].length : 10;
-      data.forEach(row => {
-        const cellValue = row[headers[index]];
-        if (cellValue) {
-          maxLength = Math.max(maxLength, cellValue.toString().length);
-        }
-      });
-      column.width = Math.min(maxLength + 2, 50); // Cap at 50 characters
+    if (!isEmpty) {
+      finalData.push(row);
+      rowNumbers.push(R + 1);
+    }
+    
+    if (onProgress && (R - headerRow) % PROGRESS_INTERVAL_ROWS === 0) {
+      onProgress(finalData.length);
+    }
+  }
+  
+  if (onRowNumbers) {
+    onRowNumbers(sheetName, rowNumbers);
+  }
+  return finalData;
+};
+
+// Summarise every sheet of a workbook for the sheet picker
+export const listWorkbookSheets = async (file) => {
+  const workbook = await readWorkbook(file);
+  
+  return workbook.SheetNames.map(name => {
+    const worksheet = workbook.Sheets[name];
+    const rawData = worksheet['!ref'] ? readRawRows(worksheet) : [];
+    const merges = worksheet['!ref'] ? relativeMerges(worksheet, XLSX.utils.decode_range(worksheet['!ref'])) : [];
+    const { headerRowIndex, headerLines } = locateHeader(rawData, merges, null);
+    const headers = headerNames(rawData, headerRowIndex, headerLines, merges)
+      .filter(cell => cell !== null && cell !== undefined && cell !== '')
+      .map(cell => String(cell));
+    const rowCount = rawData.slice(headerRowIndex + headerLines).filter(row => 
+      row.some(cell => cell !== null && cell !== undefined && cell !== '')
+    ).length;
+    
+    return { name, rowCount, headers, signature: headerSignature(headers) };
+  });
+};
+
+// Rows shown in the header preview
+const HEADER_PREVIEW_ROWS = 15;
+
+// First rows of a sheet with the score of each candidate header row and the
+// detected header. Row indexes count from the top of the used range, which
+// is sheet row firstRowNumber.
+const previewSheetHeader = (worksheet, sheetName) => {
+  if (!worksheet || !worksheet['!ref']) return null;
+  
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const rawData = readRawRows(worksheet);
+  const merges = relativeMerges(worksheet, range);
+  const { headerRowIndex, headerLines } = locateHeader(rawData, merges, null);
+  
+  return {
+    sheetName,
+    firstRowNumber: range.s.r + 1,
+    // Cells as Excel shows them
+    rows: XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, raw: false })
+      .slice(0, HEADER_PREVIEW_ROWS),
+    scores: scoreHeaderRows(rawData),
+    merges: merges.filter(merge => merge.s.r < HEADER_PREVIEW_ROWS),
+    detected: { row: headerRowIndex, lines: headerLines }
+  };
+};
+
+// Header preview of a workbook sheet (the first by default) or a CSV file;
+// null for XML files, which have no header row
+export const readHeaderPreview = async (file, sheetName) => {
+  const buffer = await readFileAsArrayBuffer(file);
+  const fileType = detectBufferType(buffer);
+  
+  if (fileType === 'csv') {
+    return previewSheetHeader(readDelimitedSheet(buffer, file.name, () => {}), null);
+  }
+  if (!['xlsx', 'xls', 'spreadsheet-xml'].includes(fileType)) return null;
+  
+  const workbook = readWorkbookBuffer(buffer);
+  const name = sheetName || workbook.SheetNames[0];
+  return previewSheetHeader(workbook.Sheets[name], name);
+};
+
+// Read one or more sheets of a workbook (the first sheet by default). Several
+// sheets are consolidated into one dataset and must share the same layout.
+const readWorkbookRows = (workbook, fileName, setDebugInfo, sheetNames, onProgress, header, onHeader, onRowNumbers) => {
+  const selectedSheets = sheetNames && sheetNames.length > 0 ? sheetNames : [workbook.SheetNames[0]];
+  const traceSheets = workbook.SheetNames.length > 1;
+  
+  let layoutSheet = null;
+  let layoutSignature = null;
+  const consolidated = [];
+  
+  selectedSheets.forEach(sheetName => {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheetName}" not found in ${fileName}`);
+    }
+    
+    const parsedBefore = consolidated.length;
+    const rows = readSheetRows(
+      worksheet, 
+      `${fileName} [${sheetName}]`, 
+      setDebugInfo, 
+      onProgress && ((rowCount) => onProgress(parsedBefore + rowCount)),
+      header && header.sheetName === sheetName ? header : null,
+      onHeader,
+      sheetName,
+      onRowNumbers
+    );
+    if (rows.length === 0) return;
+    
+    const signature = headerSignature(Object.keys(rows[0]));
+    if (layoutSignature === null) {
+      layoutSheet = sheetName;
+      layoutSignature = signature;
+    } else if (signature !== layoutSignature) {
+      throw new Error(`Sheet "${sheetName}" does not share the column layout of sheet "${layoutSheet}" in ${fileName}`);
+    }
+    
+    rows.forEach(row => {
+      consolidated.push(traceSheets ? { ...row, [SOURCE_SHEET_COLUMN]: sheetName } : row);
     });
+  });
+  
+  if (onProgress) {
+    onProgress(consolidated.length);
+  }
+  
+  if (selectedSheets.length > 1) {
+    setDebugInfo(prev => prev + `Consolidated ${consolidated.length} rows from ${selectedSheets.length} sheets of ${fileName}\n`);
+  }
+  
+  return consolidated;
+};
+
+// Spreadsheet column letter for a 1-based column number (1 -> A, 27 -> AA)
+const columnLetter = (columnNumber) => {
+  let letters = '';
+  let remaining = columnNumber;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + offset) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+};
+
+// Range reference to a column of data rows on another sheet, e.g. 'Matched'!C2:C40
+const sheetColumnRange = (sheetName, headers, header, rowCount) => {
+  const letter = columnLetter(headers.indexOf(header) + 1);
+  return `'${sheetName}'!${letter}2:${letter}${rowCount + 1}`;
+};
+
+// '#90EE90' -> 'FF90EE90' as ExcelJS expects
+const toArgb = (hexColor) => `FF${hexColor.replace('#', '').toUpperCase()}`;
+
+// Write rows to a new worksheet with a styled header row and color coding.
+// options.formatRules are the highlight rules, options.amountField the
+// submission amount column they and the Rejected Amount formula refer to.
+// With options.rejectedFormula set, Rejected Amount is written as a live
+// formula (amount minus Remit Amt) so edits to either amount flow through.
+// Amount columns are shown with options.currencyDecimals places and date
+// columns are written as Excel dates shown in options.dateFormat.
+const addDataSheet = (workbook, data, sheetName, options = {}) => {
+  const { 
+    formatRules = DEFAULT_FORMAT_RULES, 
+    amountField = 'Amt', 
+    rejectedFormula = false, 
+    currencyDecimals = DEFAULT_CURRENCY_DECIMALS, 
+    dateFormat = DEFAULT_DATE_FORMAT 
+  } = options;
+  const worksheet = workbook.addWorksheet(sheetName);
+  
+  // Get headers
+  const headers = Object.keys(data[0]);
+  
+  // Add headers to worksheet
+  worksheet.addRow(headers);
+  
+  // Style the header row
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFCCCCCC' }
+  };
+  
+  const formulaAmtColIndex = rejectedFormula ? headers.indexOf(amountField) : -1;
+  const formulaRemitColIndex = headers.indexOf('Remit Amt');
+  const formulaRejectedColIndex = headers.indexOf('Rejected Amount');
+  const useRejectedFormula = formulaAmtColIndex !== -1 && formulaRemitColIndex !== -1 && formulaRejectedColIndex !== -1;
+  
+  // Add data rows
+  data.forEach((row, index) => {
+    const rowData = headers.map(header => (isDateValue(row[header]) ? toExcelDate(row[header]) : row[header]));
+    worksheet.addRow(rowData);
+    
+    if (useRejectedFormula) {
+      const rowNumber = index + 2;
+      worksheet.getRow(rowNumber).getCell(formulaRejectedColIndex + 1).value = {
+        formula: `ROUND(${columnLetter(formulaAmtColIndex + 1)}${rowNumber}-${columnLetter(formulaRemitColIndex + 1)}${rowNumber},${currencyDecimals})`,
+        result: row['Rejected Amount']
+      };
+    }
     
-    // Generate Excel file buffer
-    const buffer = await workbook.xlsx.writeBuffer();
+    // Apply the conditional-formatting rules to this row
+    const currentRow = worksheet.getRow(index + 2); // +2 because Excel is 1-indexed and we have a header
+    const cellStyles = cellStylesForRow(formatRules, row, amountField);
     
-    // Create blob and download
-    const blob = new Blob([buffer], { 
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    Object.keys(cellStyles).forEach(column => {
+      const colIndex = headers.indexOf(column);
+      if (colIndex === -1) return;
+      
+      const cell = currentRow.getCell(colIndex + 1); // +1 because Excel is 1-indexed
+      const style = cellStyles[column];
+      
+      if (style.fill) {
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: toArgb(style.fill) }
+        };
+      }
+      if (style.fontColor || style.bold) {
+        cell.font = {
+          ...(style.fontColor ? { color: { argb: toArgb(style.fontColor) } } : {}),
+          bold: !!style.bold
+        };
+      }
+    });
+  });
+  
+  // Amount columns display the currency precision
+  [amountField, 'Remit Amt', 'Rejected Amount'].forEach(header => {
+    const colIndex = headers.indexOf(header);
+    if (colIndex !== -1) {
+      worksheet.getColumn(colIndex + 1).numFmt = moneyNumberFormat(currencyDecimals);
+    }
+  });
+  
+  headers.forEach((header, colIndex) => {
+    if (data.some(row => isDateValue(row[header]))) {
+      worksheet.getColumn(colIndex + 1).numFmt = dateFormat;
+    }
+  });
+  
+  // Auto-fit columns
+  worksheet.columns.forEach((column, index) => {
+    let maxLength = headers[index] ? headers[index].length : 10;
+    data.forEach(row => {
+      const cellValue = row[headers[index]];
+      if (cellValue) {
+        const text = isDateValue(cellValue) ? formatDate(cellValue, dateFormat) : cellValue.toString();
+        maxLength = Math.max(maxLength, text.length);
+      }
     });
+    column.width = Math.min(maxLength + 2, 50); // Cap at 50 characters
+  });
+};
+
+// Placeholder sheet for a result set with no rows
+const addEmptySheet = (workbook, sheetName) => {
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.addRow([`No ${sheetName} records`]);
+  worksheet.getColumn(1).width = 40;
+};
+
+// Summary sheet of label / value rows. Values may be formulas that reference
+// the other sheets of the report.
+const addSummarySheet = (workbook, lines) => {
+  const worksheet = workbook.addWorksheet('Summary');
+  
+  worksheet.addRow(['Reconciliation Summary']);
+  worksheet.getRow(1).font = { bold: true, size: 14 };
+  worksheet.addRow([`Generated ${new Date().toLocaleString()}`]);
+  worksheet.addRow([]);
+  
+  // Values go in column B from the next row on; formulas find the cells of
+  // other lines by their key
+  const firstRow = worksheet.rowCount + 1;
+  const cells = new Map(lines.map(({ key }, index) => [key, `B${firstRow + index}`]));
+  const cell = (key) => cells.get(key);
+  
+  lines.forEach(({ label, value, numFmt }) => {
+    const row = worksheet.addRow([label, typeof value === 'function' ? value(cell) : value]);
+    row.getCell(1).font = { bold: true };
+    if (numFmt) {
+      row.getCell(2).numFmt = numFmt;
+    }
+  });
+  
+  worksheet.getColumn(1).width = 40;
+  worksheet.getColumn(2).width = 20;
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Trigger a browser download of an ExcelJS workbook
+const saveWorkbook = async (workbook, filename) => {
+  // Generate Excel file buffer
+  const buffer = await workbook.xlsx.writeBuffer();
+  
+  // Create blob and download
+  const blob = new Blob([buffer], { 
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+  });
+  
+  downloadBlob(blob, filename);
+};
+
+// Download generated text, such as XML, as a file
+export const downloadTextFile = (content, filename, mimeType = 'text/plain') => {
+  downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+};
+
+// Dynamic import of ExcelJS. Under Node the CommonJS exports arrive as the
+// default export, while the bundler exposes them directly.
+const loadExcelJS = async () => {
+  const ExcelJS = await import('exceljs');
+  return ExcelJS.default || ExcelJS;
+};
+
+// Workbook with one data sheet plus any non-empty extra sheets
+export const buildExcelWorkbook = async (data, sheetName, extraSheets = [], formatOptions = {}) => {
+  const ExcelJS = await loadExcelJS();
+  
+  // Create a new workbook
+  const workbook = new ExcelJS.Workbook();
+  addDataSheet(workbook, data, sheetName, formatOptions);
+  
+  // Additional sheets, such as breakdowns, that belong with this result
+  extraSheets.forEach(extraSheet => {
+    if (extraSheet.data && extraSheet.data.length > 0) {
+      addDataSheet(workbook, extraSheet.data, extraSheet.sheetName, formatOptions);
+    }
+  });
+  
+  return workbook;
+};
+
+// Formats offered for single-sheet downloads
+export const EXPORT_FORMATS = [
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'csv', label: 'CSV' }
+];
+
+// Rows as CSV text, with the columns of the first row like the data sheets
+export const buildCsvText = (data, dateFormat = DEFAULT_DATE_FORMAT) => 
+  toDelimitedText(data, Object.keys(data[0]), ',', dateFormat);
+
+// formatOptions: { formatRules, amountField, currencyDecimals, dateFormat }
+// used to highlight and format cells; fileFormat 'csv' writes plain CSV instead,
+// without highlighting or extra sheets
+export const downloadExcelFile = async (
+  data, 
+  filename, 
+  sheetName, 
+  setStatus, 
+  setError, 
+  extraSheets = [], 
+  formatOptions = {}
+) => {
+  if (!data || data.length === 0) {
+    setError(`No ${sheetName} data to download`);
+    return;
+  }
+
+  try {
+    if (formatOptions.fileFormat === 'csv') {
+      downloadTextFile(buildCsvText(data, formatOptions.dateFormat), filename.replace(/\.xlsx$/, '.csv'), 'text/csv');
+      setStatus(`${sheetName} downloaded as CSV.`);
+      return;
+    }
     
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
-    window.URL.revokeObjectURL(url);
+    const workbook = await buildExcelWorkbook(data, sheetName, extraSheets, formatOptions);
+    await saveWorkbook(workbook, filename);
     
     setStatus(`${sheetName} downloaded successfully with color coding!`);
   } catch (error) {
     console.error(`Error creating Excel file for ${sheetName}:`, error);
     setError(`Error creating Excel file for ${sheetName}: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+const PERCENT_FORMAT = '0.0%';
+
+// One workbook with the Summary, Matched, Unmatched and Orphan Remittance
+// sheets of a reconciliation run. Summary totals are formulas over the data
+// sheets so they follow any amounts reviewers edit.
+export const buildReconciliationReport = async (report) => {
+  const { 
+    matched = [], 
+    unmatched = [], 
+    orphans = [], 
+    submissionAmtField, 
+    remittanceAmtField, 
+    formatRules, 
+    currencyDecimals = DEFAULT_CURRENCY_DECIMALS, 
+    dateFormat = DEFAULT_DATE_FORMAT, 
+    extraSheets = [] 
+  } = report;
+  const moneyFormat = moneyNumberFormat(currencyDecimals);
+  
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  // Summary formulas are written without cached results
+  workbook.calcProperties.fullCalcOnLoad = true;
+  
+  const sumOf = (sheetName, rows, header) => {
+    if (rows.length === 0 || !header || !Object.keys(rows[0]).includes(header)) return 0;
+    return { formula: `ROUND(SUM(${sheetColumnRange(sheetName, Object.keys(rows[0]), header, rows.length)}),${currencyDecimals})` };
+  };
+  
+  const billedMatched = sumOf('Matched', matched, submissionAmtField);
+  const billedUnmatched = sumOf('Unmatched', unmatched, submissionAmtField);
+  const remitted = sumOf('Matched', matched, 'Remit Amt');
+  const rejected = sumOf('Matched', matched, 'Rejected Amount');
+  const orphanRemitted = sumOf('Orphan Remittance', orphans, remittanceAmtField);
+  const submissionRows = matched.length + unmatched.length;
+  
+  // Formula values are given the cell of another line by its key
+  const lines = [
+    { key: 'rows', label: 'Submission rows', value: submissionRows },
+    { key: 'matchedRows', label: 'Matched rows', value: matched.length },
+    { key: 'unmatchedRows', label: 'Unmatched rows', value: unmatched.length },
+    { key: 'orphanRows', label: 'Orphan remittance rows', value: orphans.length },
+    { 
+      key: 'rowMatchRate', 
+      label: 'Match rate (rows)', 
+      value: cell => (submissionRows > 0 ? { formula: `${cell('matchedRows')}/${cell('rows')}` } : 0), 
+      numFmt: PERCENT_FORMAT 
+    },
+    { key: 'billedMatched', label: 'Total billed (matched)', value: billedMatched, numFmt: moneyFormat },
+    { key: 'billedUnmatched', label: 'Total billed (unmatched)', value: billedUnmatched, numFmt: moneyFormat },
+    { 
+      key: 'billed', 
+      label: 'Total billed', 
+      value: cell => ({ formula: `ROUND(${cell('billedMatched')}+${cell('billedUnmatched')},${currencyDecimals})` }), 
+      numFmt: moneyFormat 
+    },
+    { key: 'remitted', label: 'Total remitted', value: remitted, numFmt: moneyFormat },
+    { key: 'rejected', label: 'Total rejected', value: rejected, numFmt: moneyFormat },
+    { 
+      key: 'amountMatchRate', 
+      label: 'Match rate (billed amount)', 
+      value: cell => ({ formula: `IF(${cell('billed')}=0,0,${cell('billedMatched')}/${cell('billed')})` }), 
+      numFmt: PERCENT_FORMAT 
+    },
+    { 
+      key: 'collectionRate', 
+      label: 'Collection rate (remitted / billed matched)', 
+      value: cell => ({ formula: `IF(${cell('billedMatched')}=0,0,${cell('remitted')}/${cell('billedMatched')})` }), 
+      numFmt: PERCENT_FORMAT 
+    },
+    { key: 'orphanRemitted', label: 'Orphan remittance amount', value: orphanRemitted, numFmt: moneyFormat }
+  ];
+  
+  addSummarySheet(workbook, lines);
+  
+  [
+    { sheetName: 'Matched', rows: matched, rejectedFormula: true },
+    { sheetName: 'Unmatched', rows: unmatched },
+    { sheetName: 'Orphan Remittance', rows: orphans }
+  ].forEach(({ sheetName, rows, rejectedFormula }) => {
+    if (rows.length > 0) {
+      addDataSheet(workbook, rows, sheetName, { 
+        formatRules, 
+        amountField: submissionAmtField, 
+        rejectedFormula, 
+        currencyDecimals, 
+        dateFormat 
+      });
+    } else {
+      addEmptySheet(workbook, sheetName);
+    }
+  });
+  
+  extraSheets.forEach(extraSheet => {
+    if (extraSheet.data && extraSheet.data.length > 0) {
+      addDataSheet(workbook, extraSheet.data, extraSheet.sheetName, { 
+        formatRules, 
+        amountField: submissionAmtField, 
+        currencyDecimals, 
+        dateFormat 
+      });
+    }
+  });
+  
+  return workbook;
+};
+
+export const downloadReconciliationReport = async (report, filename, setStatus, setError) => {
+  const { matched = [], unmatched = [], orphans = [] } = report;
+  
+  if (matched.length === 0 && unmatched.length === 0 && orphans.length === 0) {
+    setError('No reconciliation results to export');
+    return;
+  }
+  
+  try {
+    const workbook = await buildReconciliationReport(report);
+    await saveWorkbook(workbook, filename);
+    
+    setStatus('Reconciliation report downloaded successfully!');
+  } catch (error) {
+    console.error('Error creating reconciliation report:', error);
+    setError(`Error creating reconciliation report: ${error.message}`);
+  }
+};
@@ -0,0 +1,192 @@
+/** @jest-environment node */
+import ExcelJS from 'exceljs';
+import {
+  parseRemittanceAdviceXml,
+  parseClaimSubmissionXml,
+  detectBufferType,
+  buildReconciliationReport
+} from './excelUtils';
+
+describe('parseRemittanceAdviceXml', () => {
+  test('writes one row per activity with the claim fields repeated', () => {
+    const rows = parseRemittanceAdviceXml(`
+      <Remittance.Advice>
+        <Claim><ID>C1</ID><IDPayer>P-1</IDPayer><PaymentReference>REF9</PaymentReference>
+          <Encounter><FacilityID>F1</FacilityID></Encounter>
+          <Activity><ID>A1</ID><Net>60</Net><PaymentAmount>50</PaymentAmount><DenialCode>MNEC-003</DenialCode></Activity>
+          <Activity><ID>A2</ID><Net>40</Net><PaymentAmount>40</PaymentAmount></Activity>
+        </Claim>
+      </Remittance.Advice>`);
+
+    expect(rows).toEqual([
+      expect.objectContaining({ 'ID': 'C1', 'FacilityID': 'F1', 'ActivityID': 'A1', 'Net': 60, 'PaymentAmount': 50, 'DenialCode': 'MNEC-003' }),
+      expect.objectContaining({ 'ID': 'C1', 'PaymentReference': 'REF9', 'ActivityID': 'A2', 'Net': 40, 'DenialCode': '' })
+    ]);
+  });
+
+  test('reads a single claim and activity as lists of one', () => {
+    const rows = parseRemittanceAdviceXml(`
+      <Remittance.Advice>
+        <Claim><ID>C1</ID><Activity><ID>A1</ID><PaymentAmount>12.5</PaymentAmount></Activity></Claim>
+      </Remittance.Advice>`);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ 'ID': 'C1', 'ActivityID': 'A1', 'PaymentAmount': 12.5 });
+  });
+
+  test('keeps a claim without activities as one unpaid row with its denial code', () => {
+    const rows = parseRemittanceAdviceXml(`
+      <Remittance.Advice>
+        <Claim><ID>C1</ID><DenialCode>AUTH-001</DenialCode></Claim>
+      </Remittance.Advice>`);
+
+    expect(rows).toEqual([
+      expect.objectContaining({ 'ID': 'C1', 'ActivityID': '', 'PaymentAmount': 0, 'DenialCode': 'AUTH-001' })
+    ]);
+  });
+
+  test('keeps IDs with leading zeros as text and leaves missing elements blank', () => {
+    const [row] = parseRemittanceAdviceXml(`
+      <Remittance.Advice>
+        <Claim><ID>00123</ID><Activity><ID>007</ID></Activity></Claim>
+      </Remittance.Advice>`);
+
+    expect(row).toMatchObject({ 'ID': '00123', 'ActivityID': '007', 'IDPayer': '', 'Net': '', 'PaymentAmount': '', 'Quantity': '' });
+  });
+
+  test('keeps unreadable amounts as text so they are reported', () => {
+    const [row] = parseRemittanceAdviceXml(`
+      <Remittance.Advice>
+        <Claim><ID>C1</ID><Activity><ID>A1</ID><PaymentAmount>n/a</PaymentAmount></Activity></Claim>
+      </Remittance.Advice>`);
+
+    expect(row['PaymentAmount']).toBe('n/a');
+  });
+
+  test('refuses other XML documents', () => {
+    expect(() => parseRemittanceAdviceXml('<Claim.Submission></Claim.Submission>')).toThrow(/not a Remittance.Advice/);
+  });
+});
+
+describe('detectBufferType', () => {
+  const bufferOf = (text) => Buffer.from(text, 'utf8');
+
+  test('recognizes workbooks by their signature', () => {
+    expect(detectBufferType(Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00]))).toBe('xlsx');
+    expect(detectBufferType(Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1]))).toBe('xls');
+  });
+
+  test('tells XML documents apart by their root element', () => {
+    expect(detectBufferType(bufferOf('<?xml version="1.0"?>\n<!-- export -->\n<Remittance.Advice>'))).toBe('remittance-xml');
+    expect(detectBufferType(bufferOf('\uFEFF<Claim.Submission xmlns:xsi="x">'))).toBe('submission-xml');
+    expect(detectBufferType(bufferOf('<?xml version="1.0"?><?mso-application progid="Excel.Sheet"?><Workbook>'))).toBe('spreadsheet-xml');
+    expect(detectBufferType(bufferOf('<Invoice><ID>1</ID></Invoice>'))).toBe('xml');
+  });
+
+  test('reads delimited text as CSV and anything else as unknown', () => {
+    expect(detectBufferType(bufferOf('Claim ID,Amt\nC1,100\n'))).toBe('csv');
+    expect(detectBufferType(bufferOf('Claim ID\tAmt\nC1\t100\n'))).toBe('csv');
+    expect(detectBufferType(Buffer.from([0x00, 0x01, 0x02, 0xFF, 0xFE, 0x00, 0x10]))).toBe('unknown');
+  });
+});
+
+describe('parseClaimSubmissionXml', () => {
+  test('leaves missing amounts blank instead of 0', () => {
+    const [claim] = parseClaimSubmissionXml(`
+      <Claim.Submission>
+        <Claim><ID>C1</ID><Net></Net></Claim>
+      </Claim.Submission>`);
+
+    expect(claim).toMatchObject({ 'Claim ID': 'C1', 'Amt': '', 'Gross': '', 'PatientShare': '' });
+  });
+
+  const submission = `
+    <Claim.Submission>
+      <Claim><ID>00042</ID><PayerID>P1</PayerID><Net>100</Net>
+        <Encounter><FacilityID>F1</FacilityID><Start>05/01/2024 09:00</Start></Encounter>
+        <Diagnosis><Type>Secondary</Type><Code>E11</Code></Diagnosis>
+        <Diagnosis><Type>Principal</Type><Code>J06.9</Code></Diagnosis>
+        <Activity><ID>0001</ID><Code>99213</Code><Net>60</Net></Activity>
+        <Activity><ID>0002</ID><Code>85025</Code><Net>40</Net></Activity>
+      </Claim>
+      <Claim><ID>C2</ID><Net>30</Net></Claim>
+    </Claim.Submission>`;
+
+  test('writes one row per claim with its Net as Amt and its activity count', () => {
+    expect(parseClaimSubmissionXml(submission)).toEqual([
+      expect.objectContaining({
+        'Claim ID': '00042',
+        'PayerID': 'P1',
+        'Amt': 100,
+        'FacilityID': 'F1',
+        'Encounter Start': '05/01/2024 09:00',
+        'Principal Diagnosis': 'J06.9',
+        'Activity Count': 2
+      }),
+      expect.objectContaining({ 'Claim ID': 'C2', 'Amt': 30, 'PayerID': '', 'Principal Diagnosis': '', 'Activity Count': 0 })
+    ]);
+  });
+
+  test('writes one row per activity at activity level, leaving out claims without any', () => {
+    const rows = parseClaimSubmissionXml(submission, true);
+
+    expect(rows.map(row => [row['Claim ID'], row['Activity ID'], row['Amt']])).toEqual([
+      ['00042', '0001', 60],
+      ['00042', '0002', 40]
+    ]);
+    expect(rows[0]).toMatchObject({ 'PayerID': 'P1', 'FacilityID': 'F1', 'Code': '99213', 'Quantity': '' });
+  });
+
+  test('reads a single claim, activity and diagnosis as lists of one', () => {
+    const xml = `
+      <Claim.Submission>
+        <Claim><ID>C1</ID><Net>5</Net>
+          <Diagnosis><Type>Principal</Type><Code>R51</Code></Diagnosis>
+          <Activity><ID>A1</ID><Net>5</Net></Activity>
+        </Claim>
+      </Claim.Submission>`;
+
+    expect(parseClaimSubmissionXml(xml)).toEqual([
+      expect.objectContaining({ 'Claim ID': 'C1', 'Principal Diagnosis': 'R51', 'Activity Count': 1 })
+    ]);
+    expect(parseClaimSubmissionXml(xml, true)).toEqual([
+      expect.objectContaining({ 'Claim ID': 'C1', 'Activity ID': 'A1', 'Amt': 5 })
+    ]);
+  });
+
+  test('refuses other XML documents', () => {
+    expect(() => parseClaimSubmissionXml('<Remittance.Advice></Remittance.Advice>')).toThrow(/not a Claim.Submission/);
+  });
+});
+
+
+describe('buildReconciliationReport', () => {
+  test('points the summary formulas at the cells of the lines they use', async () => {
+    const report = await buildReconciliationReport({
+      matched: [{ 'Claim': 'C1', 'Amt': 100, 'Remit Amt': 90, 'Rejected Amount': 10 }],
+      unmatched: [{ 'Claim': 'C2', 'Amt': 50 }],
+      orphans: [],
+      submissionAmtField: 'Amt',
+      remittanceAmtField: 'Paid'
+    });
+    // Read back what was written, as a spreadsheet program would
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await report.xlsx.writeBuffer());
+
+    const summary = workbook.getWorksheet('Summary');
+    const cells = {};
+    summary.eachRow(row => {
+      cells[row.getCell(1).value] = { address: row.getCell(2).address, value: row.getCell(2).value };
+    });
+    const address = (label) => cells[label].address;
+    const formula = (label) => cells[label].value.formula;
+
+    expect(formula('Match rate (rows)')).toBe(`${address('Matched rows')}/${address('Submission rows')}`);
+    expect(formula('Total billed')).toBe(`ROUND(${address('Total billed (matched)')}+${address('Total billed (unmatched)')},2)`);
+    expect(formula('Match rate (billed amount)'))
+      .toBe(`IF(${address('Total billed')}=0,0,${address('Total billed (matched)')}/${address('Total billed')})`);
+    expect(formula('Collection rate (remitted / billed matched)'))
+      .toBe(`IF(${address('Total billed (matched)')}=0,0,${address('Total remitted')}/${address('Total billed (matched)')})`);
+    expect(formula('Total remitted')).toBe("ROUND(SUM('Matched'!C2:C2),2)");
+  });
+});
@@ -0,0 +1,121 @@
+import { parseMoney, isBlankAmount } from './money';
+
+// Conditional-formatting rules applied to cells of exported workbooks
+const STORAGE_KEY = 'excelMatcher.formatRules';
+
+// Stands for the submission amount column of the run, whatever it is named
+export const AMOUNT_COLUMN_TOKEN = '{Amount}';
+
+export const RULE_CONDITIONS = [
+  { value: 'ratio', label: 'Ratio to column' },
+  { value: 'difference', label: 'Absolute difference from column' },
+  { value: 'equals', label: 'Equals' },
+  { value: 'blank', label: 'Is blank' }
+];
+
+export const RULE_OPERATORS = ['<', '<=', '>', '>=', '=', '!='];
+
+// Matches the original highlighting: Remit Amt below half the billed amount is
+// yellow, otherwise green
+export const DEFAULT_FORMAT_RULES = [
+  {
+    column: 'Remit Amt',
+    condition: 'ratio',
+    compareColumn: AMOUNT_COLUMN_TOKEN,
+    operator: '<',
+    value: '0.5',
+    style: { fill: '#FFFF00', fontColor: '', bold: false }
+  },
+  {
+    column: 'Remit Amt',
+    condition: 'ratio',
+    compareColumn: AMOUNT_COLUMN_TOKEN,
+    operator: '>=',
+    value: '0.5',
+    style: { fill: '#90EE90', fontColor: '', bold: false }
+  }
+];
+
+export const loadFormatRules = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_FORMAT_RULES;
+  } catch (error) {
+    console.error('Error loading format rules:', error);
+    return DEFAULT_FORMAT_RULES;
+  }
+};
+
+export const saveFormatRules = (rules) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  return rules;
+};
+
+const resolveColumn = (column, amountField) => {
+  return column === AMOUNT_COLUMN_TOKEN ? amountField : column;
+};
+
+const toNumber = (value) => {
+  if (isBlankAmount(value)) return null;
+  return parseMoney(value);
+};
+
+const compareValues = (left, operator, right) => {
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '=': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+};
+
+export const ruleMatches = (rule, row, amountField) => {
+  const cellValue = row[resolveColumn(rule.column, amountField)];
+
+  if (rule.condition === 'blank') {
+    return cellValue === undefined || cellValue === null || String(cellValue).trim() === '';
+  }
+
+  if (rule.condition === 'equals') {
+    const numericCell = toNumber(cellValue);
+    const numericValue = toNumber(rule.value);
+    const isEqual = numericCell !== null && numericValue !== null
+      ? numericCell === numericValue
+      : String(cellValue ?? '').trim().toLowerCase() === String(rule.value ?? '').trim().toLowerCase();
+    return rule.operator === '!=' ? !isEqual : isEqual;
+  }
+
+  const left = toNumber(cellValue);
+  const right = toNumber(row[resolveColumn(rule.compareColumn, amountField)]);
+  const threshold = toNumber(rule.value);
+  if (left === null || right === null || threshold === null) return false;
+
+  if (rule.condition === 'ratio') {
+    if (right === 0) return false;
+    return compareValues(left / right, rule.operator, threshold);
+  }
+
+  if (rule.condition === 'difference') {
+    return compareValues(Math.abs(left - right), rule.operator, threshold);
+  }
+
+  return false;
+};
+
+// Style for each column of a row; the first matching rule for a column wins
+export const cellStylesForRow = (rules, row, amountField) => {
+  const styles = {};
+
+  rules.forEach(rule => {
+    const column = resolveColumn(rule.column, amountField);
+    if (!column || styles[column]) return;
+    if (ruleMatches(rule, row, amountField)) {
+      styles[column] = rule.style;
+    }
+  });
+
+  return styles;
+};
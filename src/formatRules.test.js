@@ -0,0 +1,70 @@
+import { ruleMatches, cellStylesForRow, DEFAULT_FORMAT_RULES, AMOUNT_COLUMN_TOKEN } from './formatRules';
+
+const YELLOW = DEFAULT_FORMAT_RULES[0].style;
+const GREEN = DEFAULT_FORMAT_RULES[1].style;
+
+describe('ruleMatches', () => {
+  const ratio = { column: 'Remit Amt', condition: 'ratio', compareColumn: AMOUNT_COLUMN_TOKEN, operator: '<', value: '0.5' };
+
+  test('compares the ratio to the run amount column', () => {
+    expect(ruleMatches(ratio, { 'Remit Amt': 40, 'Billed': 100 }, 'Billed')).toBe(true);
+    expect(ruleMatches(ratio, { 'Remit Amt': '60.00', 'Billed': '100' }, 'Billed')).toBe(false);
+  });
+
+  test('never matches a ratio against a zero or blank base', () => {
+    expect(ruleMatches(ratio, { 'Remit Amt': 0, 'Billed': 0 }, 'Billed')).toBe(false);
+    expect(ruleMatches({ ...ratio, operator: '>=' }, { 'Remit Amt': 10, 'Billed': 0 }, 'Billed')).toBe(false);
+    expect(ruleMatches(ratio, { 'Remit Amt': 10, 'Billed': '' }, 'Billed')).toBe(false);
+  });
+
+  test('compares the absolute difference between columns', () => {
+    const rule = { column: 'Remit Amt', condition: 'difference', compareColumn: 'Amt', operator: '>', value: '5' };
+
+    expect(ruleMatches(rule, { 'Remit Amt': 90, 'Amt': 100 })).toBe(true);
+    expect(ruleMatches(rule, { 'Remit Amt': 103, 'Amt': 100 })).toBe(false);
+  });
+
+  test('compares numbers as numbers and text without case', () => {
+    const equals = { column: 'Code', condition: 'equals', operator: '=', value: '100.0' };
+
+    expect(ruleMatches(equals, { 'Code': 100 })).toBe(true);
+    expect(ruleMatches(equals, { 'Code': '100' })).toBe(true);
+    expect(ruleMatches({ ...equals, value: 'Denied' }, { 'Code': ' denied ' })).toBe(true);
+    expect(ruleMatches({ ...equals, value: 'Denied' }, { 'Code': 100 })).toBe(false);
+  });
+
+  test('negates equals with !=', () => {
+    const notEquals = { column: 'Code', condition: 'equals', operator: '!=', value: '100' };
+
+    expect(ruleMatches(notEquals, { 'Code': 100.0 })).toBe(false);
+    expect(ruleMatches(notEquals, { 'Code': 99 })).toBe(true);
+    expect(ruleMatches({ ...notEquals, value: 'MNEC' }, { 'Code': 'mnec' })).toBe(false);
+    expect(ruleMatches({ ...notEquals, value: 'MNEC' }, { 'Code': '' })).toBe(true);
+  });
+
+  test('matches blank cells', () => {
+    const blank = { column: 'Denial Codes', condition: 'blank' };
+
+    expect(ruleMatches(blank, { 'Denial Codes': '  ' })).toBe(true);
+    expect(ruleMatches(blank, {})).toBe(true);
+    expect(ruleMatches(blank, { 'Denial Codes': 'A' })).toBe(false);
+  });
+});
+
+describe('cellStylesForRow', () => {
+  test('gives each column the style of its first matching rule', () => {
+    const bold = { fill: '', fontColor: '', bold: true };
+    const rules = [
+      ...DEFAULT_FORMAT_RULES,
+      { column: 'Remit Amt', condition: 'blank', style: bold },
+      { column: 'Status', condition: 'equals', operator: '=', value: 'Fully Denied', style: bold }
+    ];
+
+    expect(cellStylesForRow(rules, { 'Remit Amt': 30, 'Amt': 100, 'Status': 'Fully Denied' }, 'Amt'))
+      .toEqual({ 'Remit Amt': YELLOW, 'Status': bold });
+    expect(cellStylesForRow(rules, { 'Remit Amt': 80, 'Amt': 100, 'Status': 'Partially Paid' }, 'Amt'))
+      .toEqual({ 'Remit Amt': GREEN });
+    expect(cellStylesForRow(rules, { 'Remit Amt': '', 'Amt': 100 }, 'Amt'))
+      .toEqual({ 'Remit Amt': bold });
+  });
+});
@@ -0,0 +1,123 @@
+import { parseMoney, isBlankAmount } from './money';
+import { isDateValue, parseDateText, formatDate } from './dates';
+
+// Sorting, filtering and searching of result rows for the results grid
+
+export const FILTER_OPERATORS = [
+  { value: 'contains', label: 'contains' },
+  { value: '=', label: '=' },
+  { value: '!=', label: '!=' },
+  { value: '>', label: '>' },
+  { value: '>=', label: '>=' },
+  { value: '<', label: '<' },
+  { value: '<=', label: '<=' },
+  { value: 'blank', label: 'is blank' },
+  { value: 'notBlank', label: 'is not blank' }
+];
+
+// Operators that do not take a value
+export const VALUELESS_OPERATORS = ['blank', 'notBlank'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Numeric value of a cell, or null for blanks and text
+const numericValue = (value) => (isBlankAmount(value) ? null : parseMoney(value));
+
+const textValue = (value) => {
+  if (isBlank(value)) return '';
+  return (isDateValue(value) ? formatDate(value) : String(value)).trim().toLowerCase();
+};
+
+// Value to order a cell by: the time of a date cell, with the filter value
+// read as a date too, otherwise the number
+const orderValue = (value, asDate) => {
+  if (!asDate) return numericValue(value);
+  const date = isDateValue(value) ? value : parseDateText(String(value ?? ''));
+  return date ? date.getTime() : null;
+};
+
+export const filterMatches = (filter, row) => {
+  const cell = row[filter.column];
+
+  if (filter.operator === 'blank') return isBlank(cell);
+  if (filter.operator === 'notBlank') return !isBlank(cell);
+  if (filter.operator === 'contains') return textValue(cell).includes(textValue(filter.value));
+
+  const asDate = isDateValue(cell);
+  const left = orderValue(cell, asDate);
+  const right = orderValue(filter.value, asDate);
+
+  if (filter.operator === '=' || filter.operator === '!=') {
+    const isEqual = left !== null && right !== null
+      ? left === right
+      : textValue(cell) === textValue(filter.value);
+    return filter.operator === '=' ? isEqual : !isEqual;
+  }
+
+  // Ordering only makes sense between numbers or dates
+  if (left === null || right === null) return false;
+
+  switch (filter.operator) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return false;
+  }
+};
+
+// Numbers and dates sort by value, text naturally ("CLM2" before "CLM10")
+// and blank cells always last
+const compareCells = (a, b) => {
+  const blankA = isBlank(a);
+  const blankB = isBlank(b);
+  if (blankA || blankB) return blankA === blankB ? 0 : (blankA ? 1 : -1);
+
+  if (isDateValue(a) && isDateValue(b)) return a.getTime() - b.getTime();
+
+  const numberA = numericValue(a);
+  const numberB = numericValue(b);
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// view: { filters: [{ column, operator, value }], search, searchColumn,
+// sort: { column, direction: 'asc' | 'desc' } }
+export const applyGridView = (rows, view) => {
+  const { filters = [], search = '', searchColumn, sort } = view;
+  const searchText = search.trim().toLowerCase();
+
+  let viewRows = rows.filter(row => filters.every(filter => filterMatches(filter, row)));
+
+  if (searchText) {
+    viewRows = viewRows.filter(row => {
+      const values = searchColumn ? [row[searchColumn]] : Object.values(row);
+      return values.some(value => textValue(value).includes(searchText));
+    });
+  }
+
+  if (sort && sort.column) {
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    // Blanks stay last whichever way the column is sorted
+    viewRows = [...viewRows].sort((a, b) => {
+      const blankA = isBlank(a[sort.column]);
+      const blankB = isBlank(b[sort.column]);
+      if (blankA || blankB) return compareCells(a[sort.column], b[sort.column]);
+      return direction * compareCells(a[sort.column], b[sort.column]);
+    });
+  }
+
+  return viewRows;
+};
+
+// Rows reduced to the visible columns, in their original order
+export const selectColumns = (rows, columns) => {
+  return rows.map(row => {
+    const selected = {};
+    columns.forEach(column => {
+      selected[column] = row[column];
+    });
+    return selected;
+  });
+};
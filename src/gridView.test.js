@@ -0,0 +1,73 @@
+import { filterMatches, applyGridView } from './gridView';
+
+const rows = [
+  { 'Claim ID': 'CLM10', 'Amt': '1,200.50', 'Service Date': new Date(2024, 0, 15), 'Payer': 'Alpha' },
+  { 'Claim ID': 'CLM2', 'Amt': 90, 'Service Date': new Date(2024, 1, 3), 'Payer': 'clm2 health' },
+  { 'Claim ID': 'CLM3', 'Amt': '', 'Service Date': null, 'Payer': 'Beta' },
+  { 'Claim ID': 'CLM1', 'Amt': 300, 'Service Date': new Date(2023, 11, 31), 'Payer': '' }
+];
+const ids = (viewRows) => viewRows.map(row => row['Claim ID']);
+
+describe('filterMatches', () => {
+  test('compares amounts as numbers with >', () => {
+    const filter = { column: 'Amt', operator: '>', value: '100' };
+
+    expect(ids(rows.filter(row => filterMatches(filter, row)))).toEqual(['CLM10', 'CLM1']);
+  });
+
+  test('compares dates with > against a typed date', () => {
+    const filter = { column: 'Service Date', operator: '>', value: '01/01/2024' };
+
+    expect(ids(rows.filter(row => filterMatches(filter, row)))).toEqual(['CLM10', 'CLM2']);
+    expect(filterMatches({ ...filter, value: '2024-02-01' }, rows[1])).toBe(true);
+  });
+
+  test('never matches an ordering filter on text or blanks', () => {
+    expect(filterMatches({ column: 'Payer', operator: '>', value: '1' }, rows[0])).toBe(false);
+    expect(filterMatches({ column: 'Amt', operator: '<', value: '1000' }, rows[2])).toBe(false);
+    expect(filterMatches({ column: 'Amt', operator: '>', value: 'abc' }, rows[1])).toBe(false);
+  });
+
+  test('compares = and != as numbers when both sides are, otherwise as text', () => {
+    expect(filterMatches({ column: 'Amt', operator: '=', value: '1200.5' }, rows[0])).toBe(true);
+    expect(filterMatches({ column: 'Amt', operator: '!=', value: '90.00' }, rows[1])).toBe(false);
+    expect(filterMatches({ column: 'Payer', operator: '=', value: 'ALPHA' }, rows[0])).toBe(true);
+    expect(filterMatches({ column: 'Payer', operator: '!=', value: 'alpha' }, rows[2])).toBe(true);
+  });
+
+  test('matches blank and non-blank cells', () => {
+    expect(ids(rows.filter(row => filterMatches({ column: 'Amt', operator: 'blank' }, row)))).toEqual(['CLM3']);
+    expect(ids(rows.filter(row => filterMatches({ column: 'Payer', operator: 'notBlank' }, row)))).toEqual(['CLM10', 'CLM2', 'CLM3']);
+  });
+});
+
+describe('applyGridView', () => {
+  test('sorts IDs naturally and amounts by value', () => {
+    expect(ids(applyGridView(rows, { sort: { column: 'Claim ID', direction: 'asc' } }))).toEqual(['CLM1', 'CLM2', 'CLM3', 'CLM10']);
+    expect(ids(applyGridView(rows, { sort: { column: 'Amt', direction: 'asc' } }))).toEqual(['CLM2', 'CLM1', 'CLM10', 'CLM3']);
+  });
+
+  test('keeps blanks last in both directions', () => {
+    expect(ids(applyGridView(rows, { sort: { column: 'Amt', direction: 'desc' } }))).toEqual(['CLM10', 'CLM1', 'CLM2', 'CLM3']);
+    expect(ids(applyGridView(rows, { sort: { column: 'Service Date', direction: 'asc' } }))).toEqual(['CLM1', 'CLM10', 'CLM2', 'CLM3']);
+    expect(ids(applyGridView(rows, { sort: { column: 'Service Date', direction: 'desc' } }))).toEqual(['CLM2', 'CLM10', 'CLM1', 'CLM3']);
+  });
+
+  test('searches every column, or only the chosen one', () => {
+    expect(ids(applyGridView(rows, { search: ' clm2 ' }))).toEqual(['CLM2']);
+    expect(ids(applyGridView(rows, { search: 'beta' }))).toEqual(['CLM3']);
+    expect(ids(applyGridView(rows, { search: 'beta', searchColumn: 'Claim ID' }))).toEqual([]);
+    expect(ids(applyGridView(rows, { search: 'clm1', searchColumn: 'Claim ID' }))).toEqual(['CLM10', 'CLM1']);
+  });
+
+  test('applies the filters together with the search and sort', () => {
+    const view = {
+      filters: [{ column: 'Amt', operator: '>=', value: '90' }, { column: 'Payer', operator: 'notBlank' }],
+      search: 'clm',
+      searchColumn: 'Claim ID',
+      sort: { column: 'Amt', direction: 'desc' }
+    };
+
+    expect(ids(applyGridView(rows, view))).toEqual(['CLM10', 'CLM2']);
+  });
+});
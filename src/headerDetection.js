@@ -57,8 +57,12 @@ export const evaluateConsistencyOfFollowingRows = (jsonData, headerRowIndex) =>
   return headerRow.length > 0 ? consistentColumns / headerRow.length : 0;
 };
 
-export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
-  if (!jsonData || jsonData.length === 0) return 0;
+const isEmptyCell = (cell) => cell === null || cell === undefined || cell === '';
+
+// Score each of the first rows as a candidate header row, in row order.
+// Empty rows are left out.
+export const scoreHeaderRows = (jsonData, maxRowsToCheck = 10) => {
+  if (!jsonData || jsonData.length === 0) return [];
   
   const rowScores = [];
   const rowsToCheck = Math.min(maxRowsToCheck, jsonData.length);
@@ -71,7 +75,7 @@ export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
   
   for (let rowIndex = 0; rowIndex < rowsToCheck; rowIndex++) {
     const row = jsonData[rowIndex];
-    if (!row || row.length === 0) continue;
+    if (!row || row.every(isEmptyCell)) continue;
     
     // 1. Calculate fill rate (percentage of non-empty cells)
     const fillRate = row.filter(cell => 
@@ -138,13 +142,114 @@ export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
     // console.log(`Row ${rowIndex} score: ${score.toFixed(3)} (fill: ${fillRate.toFixed(2)}, text: ${textCellRatio.toFixed(2)}, terms: ${headerTermScore.toFixed(2)}, uniq: ${uniquenessRatio.toFixed(2)}, consist: ${consistencyScore.toFixed(2)})`);
   }
   
+  return rowScores;
+};
+
+// Minimum score for a row to be taken as the header instead of the first row
+const MIN_HEADER_SCORE = 0.2;
+
+export const findHeaderRow = (jsonData, maxRowsToCheck = 10) => {
   // Select row with highest score
-  rowScores.sort((a, b) => b.score - a.score);
+  const rowScores = [...scoreHeaderRows(jsonData, maxRowsToCheck)].sort((a, b) => b.score - a.score);
   
   // If the best score is really low, default to first row
-  if (rowScores.length > 0 && rowScores[0].score < 0.2) {
+  if (rowScores.length > 0 && rowScores[0].score < MIN_HEADER_SCORE) {
     return 0;
   }
   
   return rowScores.length > 0 ? rowScores[0].rowIndex : 0;
+};
+
+// Group labels of a header row: merged ranges (rows and columns relative to
+// jsonData) starting on that row and spanning several columns
+const headerGroups = (headerRowIndex, merges) => merges.filter(merge => 
+  merge.s.r === headerRowIndex && merge.e.c > merge.s.c
+);
+
+const isLabelCell = (cell) => typeof cell === 'string' && cell.trim() !== '' && isNaN(cell.trim());
+
+// Without merge information, as in CSV, a group is a label followed by blank
+// header cells. The row below must name every column of each group and leave
+// the single-line columns blank, which a data row does not do.
+const hasUnmergedGroups = (topRow, subRow) => {
+  const columnCount = Math.max(topRow.length, subRow.length);
+  let groupCount = 0;
+  let groupOpened = false;
+  let inGroup = false;
+  
+  for (let col = 0; col < columnCount; col++) {
+    const hasTop = !isEmptyCell(topRow[col]);
+    const hasSub = !isEmptyCell(subRow[col]);
+    if (hasSub && !isLabelCell(subRow[col])) return false;
+    // A label with a sub-header must be followed by the rest of its group
+    if (groupOpened && (hasTop || !hasSub)) return false;
+    
+    if (hasTop) {
+      groupOpened = hasSub;
+      inGroup = false;
+    } else if (hasSub) {
+      if (!groupOpened && !inGroup) return false;
+      if (groupOpened) groupCount++;
+      groupOpened = false;
+      inGroup = true;
+    } else {
+      inGroup = false;
+    }
+  }
+  
+  return groupCount > 0 && !groupOpened;
+};
+
+// A header spans two lines when a label on the header row is merged across
+// several columns and the row below names each of those columns, like
+// "Amount" over "Gross | Net". Sheets without merged cells are checked on
+// their content instead.
+export const isTwoLineHeader = (jsonData, headerRowIndex, merges = []) => {
+  const subRow = jsonData[headerRowIndex + 1];
+  if (!subRow) return false;
+  if (merges.length === 0) return hasUnmergedGroups(jsonData[headerRowIndex] || [], subRow);
+  
+  const groups = headerGroups(headerRowIndex, merges);
+  if (groups.length === 0) return false;
+  
+  return groups.every(group => {
+    for (let col = group.s.c; col <= group.e.c; col++) {
+      const cell = subRow[col];
+      if (!isLabelCell(cell)) return false;
+    }
+    return true;
+  });
+};
+
+// Column names of a one or two line header, indexed like the jsonData rows.
+// On two lines the group label is prefixed to the sub-header below it
+// ("Amount Gross"); columns merged down both lines keep their single label.
+// Without merge information a blank group cell takes the label on its left
+// when both columns have a sub-header, as in CSV exports of such reports.
+export const headerNames = (jsonData, headerRowIndex, headerLines = 1, merges = []) => {
+  const topRow = jsonData[headerRowIndex] || [];
+  if (headerLines < 2) return [...topRow];
+  
+  const subRow = jsonData[headerRowIndex + 1] || [];
+  const groups = headerGroups(headerRowIndex, merges);
+  const columnCount = Math.max(topRow.length, subRow.length);
+  const names = [];
+  let groupLabel = '';
+  
+  for (let col = 0; col < columnCount; col++) {
+    const group = groups.find(merge => col >= merge.s.c && col <= merge.e.c);
+    const sub = isEmptyCell(subRow[col]) ? '' : String(subRow[col]).trim();
+    let top = isEmptyCell(topRow[col]) ? '' : String(topRow[col]).trim();
+    
+    if (group) {
+      top = String(topRow[group.s.c] ?? '').trim();
+    } else if (top === '' && sub !== '' && merges.length === 0) {
+      top = groupLabel;
+    }
+    groupLabel = top !== '' && sub !== '' ? top : '';
+    
+    names[col] = top && sub && top !== sub ? `${top} ${sub}` : (top || sub);
+  }
+  
+  return names;
 };
\ No newline at end of file
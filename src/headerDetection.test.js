@@ -0,0 +1,23 @@
+import { isTwoLineHeader, headerNames } from './headerDetection';
+
+describe('isTwoLineHeader', () => {
+  test('detects a merged group label over its sub-headers', () => {
+    const rows = [['Claim ID', 'Amount', ''], ['', 'Gross', 'Net'], ['C1', 100, 90]];
+    const merges = [{ s: { r: 0, c: 1 }, e: { r: 0, c: 2 } }];
+
+    expect(isTwoLineHeader(rows, 0, merges)).toBe(true);
+  });
+
+  test('detects a group label followed by blank cells without merges, as in CSV', () => {
+    const rows = [['Claim ID', 'Amount', '', 'Date'], ['', 'Gross', 'Net', ''], ['C1', '100', '90', '01/02/2024']];
+
+    expect(isTwoLineHeader(rows, 0)).toBe(true);
+    expect(headerNames(rows, 0, 2)).toEqual(['Claim ID', 'Amount Gross', 'Amount Net', 'Date']);
+  });
+
+  test('takes a data row below a header as data', () => {
+    expect(isTwoLineHeader([['Claim ID', 'Name', ''], ['C1', 'Smith', 'John']], 0)).toBe(false);
+    expect(isTwoLineHeader([['Claim ID', 'Name', 'Code'], ['C1', 'Smith', 'X1']], 0)).toBe(false);
+    expect(isTwoLineHeader([['Claim ID', 'Amount', ''], ['', '100', '90']], 0)).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+// Rules applied to claim IDs on both files before they are compared
+export const DEFAULT_NORMALIZATION = {
+  trim: true,
+  caseFold: true,
+  coerceNumbers: true,
+  stripLeadingZeros: false,
+  stripPrefixes: []
+};
+
+// Largest edit distance still reported as a possible match
+const MAX_SUGGESTION_DISTANCE = 3;
+const MAX_SUGGESTIONS = 3;
+// Near matches are looked for among the remittance IDs next to an ID in
+// sorted order, and in the order of the reversed IDs for typos near the
+// start, so large files are not compared ID by ID
+const NEIGHBOUR_WINDOW = 25;
+const MAX_SUGGESTION_ROWS = 1000;
+
+export const normalizeId = (value, rules = DEFAULT_NORMALIZATION) => {
+  if (value === null || value === undefined) return value;
+
+  // Numbers and numeric strings compare equal (123 vs "123")
+  if (typeof value !== 'string') {
+    if (!rules.coerceNumbers) return value;
+    value = String(value);
+  }
+
+  let id = value;
+
+  if (rules.trim) {
+    id = id.trim();
+  }
+  if (rules.caseFold) {
+    id = id.toLowerCase();
+  }
+
+  const prefix = (rules.stripPrefixes || []).find(candidate =>
+    candidate && (rules.caseFold
+      ? id.startsWith(candidate.toLowerCase())
+      : id.startsWith(candidate))
+  );
+  if (prefix) {
+    id = id.slice(prefix.length);
+  }
+
+  if (rules.stripLeadingZeros) {
+    id = id.replace(/^0+(?=\d)/, '');
+  }
+
+  return id;
+};
+
+// Levenshtein distance, giving up once it is known to exceed maxDistance
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+
+  return previous[b.length] > maxDistance ? Infinity : previous[b.length];
+};
+
+const reverseText = (text) => Array.from(text).reverse().join('');
+
+// Candidate IDs sorted by their key, forwards or reversed
+const sortCandidates = (ids, keyOf) => ids
+  .map(id => ({ key: keyOf(id), id }))
+  .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+// Candidates either side of where key would sort
+const neighbours = (sorted, key) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle].key < key) low = middle + 1;
+    else high = middle;
+  }
+  return sorted.slice(Math.max(low - NEIGHBOUR_WINDOW, 0), low + NEIGHBOUR_WINDOW).map(entry => entry.id);
+};
+
+// Candidates within MAX_SUGGESTION_DISTANCE of an ID among its neighbours
+const closestCandidates = (id, orders, candidates) => {
+  const compared = new Set();
+  const closest = [];
+  let nearest = 0;
+
+  for (const [sorted, keyOf] of orders) {
+    for (const candidateId of neighbours(sorted, keyOf(id))) {
+      if (compared.has(candidateId) || Math.abs(candidateId.length - id.length) > MAX_SUGGESTION_DISTANCE) continue;
+      compared.add(candidateId);
+
+      const distance = editDistance(id, candidateId, MAX_SUGGESTION_DISTANCE);
+      if (distance !== Infinity) {
+        closest.push({ remittanceRawId: candidates.get(candidateId), distance });
+        // Different IDs are at least 1 apart, so these cannot be beaten
+        if (distance === 1) nearest += 1;
+      }
+      if (nearest >= MAX_SUGGESTIONS) return closest;
+    }
+  }
+
+  return closest;
+};
+
+// For every unmatched submission ID, list the closest remittance IDs that no
+// submission row matched, so the user can confirm them by hand. At most
+// MAX_SUGGESTION_ROWS IDs are listed.
+export const findPossibleMatches = (unmatchedRows, submissionIdField, remittanceData, remittanceIdField, submissionData, rules) => {
+  const submissionIds = new Set(submissionData.map(row => normalizeId(row[submissionIdField], rules)));
+
+  // Remittance IDs without a submission, keyed by normalized ID
+  const candidates = new Map();
+  remittanceData.forEach(row => {
+    const rawId = row[remittanceIdField];
+    const id = normalizeId(rawId, rules);
+    if (id !== undefined && id !== null && id !== '' && !submissionIds.has(id) && !candidates.has(String(id))) {
+      candidates.set(String(id), rawId);
+    }
+  });
+  const candidateIds = Array.from(candidates.keys());
+  const identity = (id) => id;
+  const orders = [
+    [sortCandidates(candidateIds, identity), identity],
+    [sortCandidates(candidateIds, reverseText), reverseText]
+  ];
+
+  const suggestions = [];
+  const seen = new Set();
+
+  for (const row of unmatchedRows) {
+    if (suggestions.length >= MAX_SUGGESTION_ROWS) break;
+
+    const rawId = row[submissionIdField];
+    const id = normalizeId(rawId, rules);
+    if (id === undefined || id === null || id === '' || seen.has(id)) continue;
+    seen.add(id);
+
+    const closest = closestCandidates(String(id), orders, candidates);
+    if (closest.length === 0) continue;
+    closest.sort((a, b) => a.distance - b.distance);
+
+    suggestions.push({
+      'Submission ID': rawId,
+      'Normalized ID': id,
+      'Closest Remittance ID': closest[0].remittanceRawId,
+      'Edit Distance': closest[0].distance,
+      'Other Candidates': closest
+        .slice(1, MAX_SUGGESTIONS)
+        .map(candidate => `${candidate.remittanceRawId} (${candidate.distance})`)
+        .join(', ')
+    });
+  }
+
+  return suggestions;
+};
@@ -0,0 +1,97 @@
+import { normalizeId, editDistance, findPossibleMatches, DEFAULT_NORMALIZATION } from './idNormalization';
+
+describe('normalizeId', () => {
+  test('trims, folds case and coerces numbers by default', () => {
+    expect(normalizeId('  Clm-001 ')).toBe('clm-001');
+    expect(normalizeId(123)).toBe('123');
+  });
+
+  test('strips prefixes and leading zeros when asked', () => {
+    const rules = { ...DEFAULT_NORMALIZATION, stripPrefixes: ['CLM-'], stripLeadingZeros: true };
+    expect(normalizeId('clm-000123', rules)).toBe('123');
+    expect(normalizeId('000', rules)).toBe('0');
+  });
+
+  test('keeps blank IDs as they are', () => {
+    expect(normalizeId(undefined)).toBeUndefined();
+    expect(normalizeId(null)).toBeNull();
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('abc', 'abc')).toBe(0);
+  });
+
+  test('gives up past the maximum distance', () => {
+    expect(editDistance('abcdef', 'uvwxyz', 2)).toBe(Infinity);
+    expect(editDistance('a', 'abcdef', 2)).toBe(Infinity);
+  });
+});
+
+describe('findPossibleMatches', () => {
+  const submission = (...ids) => ids.map(id => ({ 'Claim ID': id }));
+  const remittance = (...ids) => ids.map(id => ({ 'Remit ID': id }));
+
+  test('suggests the closest remittance IDs without a submission', () => {
+    const submissionData = submission('CLM10023', 'CLM20000');
+    const suggestions = findPossibleMatches(
+      submission('CLM10023'),
+      'Claim ID',
+      remittance('CLM10032', 'CLM10024', 'CLM20000', 'XYZ99999'),
+      'Remit ID',
+      submissionData,
+      DEFAULT_NORMALIZATION
+    );
+
+    expect(suggestions).toEqual([{
+      'Submission ID': 'CLM10023',
+      'Normalized ID': 'clm10023',
+      'Closest Remittance ID': 'CLM10024',
+      'Edit Distance': 1,
+      'Other Candidates': 'CLM10032 (2)'
+    }]);
+  });
+
+  test('finds IDs that differ in their first characters', () => {
+    const suggestions = findPossibleMatches(
+      submission('9XA-55501'),
+      'Claim ID',
+      remittance('8XA-55501'),
+      'Remit ID',
+      submission('9XA-55501'),
+      DEFAULT_NORMALIZATION
+    );
+
+    expect(suggestions.map(row => row['Closest Remittance ID'])).toEqual(['8XA-55501']);
+  });
+
+  test('stays quick on large files', () => {
+    const ids = Array.from({ length: 20000 }, (_, index) => `CLM${String(index).padStart(6, '0')}`);
+    const started = Date.now();
+
+    // Every submission ID is looked up, and none is close to a remittance ID
+    const unmatched = findPossibleMatches(
+      submission(...ids.map(id => `${id}XYZW`)),
+      'Claim ID',
+      remittance(...ids),
+      'Remit ID',
+      submission(...ids.map(id => `${id}XYZW`)),
+      DEFAULT_NORMALIZATION
+    );
+    const matched = findPossibleMatches(
+      submission(...ids.map(id => `${id}X`)),
+      'Claim ID',
+      remittance(...ids),
+      'Remit ID',
+      submission(...ids.map(id => `${id}X`)),
+      DEFAULT_NORMALIZATION
+    );
+
+    expect(unmatched).toEqual([]);
+    expect(matched.length).toBe(1000);
+    expect(matched[0]['Closest Remittance ID']).toBe(ids[0]);
+    expect(Date.now() - started).toBeLessThan(10000);
+  });
+});
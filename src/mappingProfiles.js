@@ -0,0 +1,71 @@
+// Saved column mappings, keyed by the remittance header set they were created
+// for. A payer's remittance layout identifies the profile; the submission
+// columns are taken from it where the current submission file has them.
+const STORAGE_KEY = 'excelMatcher.mappingProfiles';
+
+// Order- and case-insensitive fingerprint of a file's header row
+export const headerSignature = (headers) => {
+  return headers
+    .map(header => String(header).trim().toLowerCase())
+    .sort()
+    .join('|');
+};
+
+export const loadMappingProfiles = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading mapping profiles:', error);
+    return [];
+  }
+};
+
+const storeMappingProfiles = (profiles) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+export const saveMappingProfile = (name, remittanceHeaders, mapping) => {
+  // Saving under an existing name replaces that profile
+  const profiles = loadMappingProfiles().filter(profile => profile.name !== name);
+  
+  profiles.push({
+    name,
+    remittanceSignature: headerSignature(remittanceHeaders),
+    mapping,
+    savedAt: new Date().toISOString()
+  });
+  
+  return storeMappingProfiles(profiles);
+};
+
+export const deleteMappingProfile = (name) => {
+  return storeMappingProfiles(loadMappingProfiles().filter(profile => profile.name !== name));
+};
+
+// The most recently saved profile for this remittance layout
+export const findMappingProfile = (profiles, remittanceHeaders) => {
+  const remittanceSignature = headerSignature(remittanceHeaders);
+  
+  return [...profiles].reverse().find(profile => profile.remittanceSignature === remittanceSignature) || null;
+};
+
+// Apply a profile's mapping, keeping only columns that exist in the current
+// files. An optional column saved as '' (none) stays unset.
+export const applyMappingProfile = (profile, remittanceHeaders, submissionHeaders, fallbackMapping) => {
+  const pick = (column, headers, fallback) => column === '' || headers.includes(column) ? column : fallback;
+  
+  return {
+    remittanceIdField: pick(profile.mapping.remittanceIdField, remittanceHeaders, fallbackMapping.remittanceIdField),
+    remittanceAmtField: pick(profile.mapping.remittanceAmtField, remittanceHeaders, fallbackMapping.remittanceAmtField),
+    remittanceReferenceField: pick(profile.mapping.remittanceReferenceField, remittanceHeaders, fallbackMapping.remittanceReferenceField),
+    submissionIdField: pick(profile.mapping.submissionIdField, submissionHeaders, fallbackMapping.submissionIdField),
+    submissionAmtField: pick(profile.mapping.submissionAmtField, submissionHeaders, fallbackMapping.submissionAmtField),
+    remittanceLineField: pick(profile.mapping.remittanceLineField, remittanceHeaders, fallbackMapping.remittanceLineField),
+    submissionLineField: pick(profile.mapping.submissionLineField, submissionHeaders, fallbackMapping.submissionLineField),
+    remittanceDenialCodeField: pick(profile.mapping.remittanceDenialCodeField, remittanceHeaders, fallbackMapping.remittanceDenialCodeField),
+    remittanceDenialCommentField: pick(profile.mapping.remittanceDenialCommentField, remittanceHeaders, fallbackMapping.remittanceDenialCommentField),
+    normalization: profile.mapping.normalization || fallbackMapping.normalization
+  };
+};
@@ -0,0 +1,46 @@
+import { findMappingProfile, applyMappingProfile } from './mappingProfiles';
+
+const profile = (name, remittanceHeaders, mapping = {}) => ({
+  name,
+  remittanceSignature: remittanceHeaders.map(header => header.toLowerCase()).sort().join('|'),
+  mapping
+});
+
+describe('findMappingProfile', () => {
+  test('matches on the remittance layout whatever the submission file', () => {
+    const saved = [profile('Payer A', ['Claim ID', 'Paid'])];
+
+    expect(findMappingProfile(saved, ['paid', 'claim id'])).toBe(saved[0]);
+    expect(findMappingProfile(saved, ['Claim ID', 'Paid', 'Extra'])).toBeNull();
+  });
+
+  test('prefers the latest profile saved for a layout', () => {
+    const saved = [profile('Old', ['Claim ID', 'Paid']), profile('New', ['Claim ID', 'Paid'])];
+
+    expect(findMappingProfile(saved, ['Claim ID', 'Paid']).name).toBe('New');
+  });
+});
+
+describe('applyMappingProfile', () => {
+  const fallback = {
+    remittanceIdField: 'Claim ID',
+    remittanceAmtField: 'Paid',
+    remittanceReferenceField: 'Reference',
+    submissionIdField: 'ID',
+    submissionAmtField: 'Net'
+  };
+
+  test('keeps optional columns saved as none', () => {
+    const saved = profile('Payer A', ['Claim ID', 'Paid'], { ...fallback, remittanceReferenceField: '' });
+    const mapping = applyMappingProfile(saved, ['Claim ID', 'Paid', 'Reference'], ['ID', 'Net'], fallback);
+
+    expect(mapping.remittanceReferenceField).toBe('');
+  });
+
+  test('falls back to the guessed column when a saved one is missing', () => {
+    const saved = profile('Payer A', ['Claim ID', 'Paid'], { ...fallback, submissionAmtField: 'Gross' });
+    const mapping = applyMappingProfile(saved, ['Claim ID', 'Paid'], ['ID', 'Net'], fallback);
+
+    expect(mapping.submissionAmtField).toBe('Net');
+  });
+});
@@ -0,0 +1,173 @@
+// Parsing of amount cells shared by every step that reads money
+
+export const AMOUNT_FORMATS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'dot', label: '1,234.50' },
+  { value: 'comma', label: '1.234,50' }
+];
+
+// Currency codes and symbols stripped before parsing
+const CURRENCY_PATTERN = /(?<![A-Za-z])(AED|SAR|USD|EUR|GBP|QAR|KWD|BHD|OMR|EGP|INR)(?![A-Za-z])|[$€£]|د\.إ|ر\.س/gi;
+
+export const isBlankAmount = (value) => {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+};
+
+// Decide which separator is the decimal point when the format is not fixed
+const detectDecimalSeparator = (text) => {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? '.' : ',';
+  }
+  if (lastComma !== -1) {
+    // "1,234" and "1,234,567" group thousands, "1234,5" and "12,50" do not
+    const isGrouping = (text.match(/,/g).length > 1) || /,\d{3}$/.test(text);
+    return isGrouping ? '.' : ',';
+  }
+  if (lastDot !== -1 && text.match(/\./g).length > 1) {
+    // "1.234.567" groups thousands
+    return ',';
+  }
+  return '.';
+};
+
+// Parse an amount cell into a number. Blank cells are 0; anything that cannot
+// be read as an amount returns null so callers can report it.
+export const parseMoney = (value, format = 'auto') => {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+  if (isBlankAmount(value)) {
+    return 0;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value
+    .replace(CURRENCY_PATTERN, '')
+    .replace(/[\s']/g, '');
+
+  let negative = false;
+
+  // Accounting negatives "(150.00)", trailing minus "150.00-" and leading minus
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = !negative;
+    text = text.slice(0, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) {
+    return null;
+  }
+
+  const decimalSeparator = format === 'comma'
+    ? ','
+    : format === 'dot' ? '.' : detectDecimalSeparator(text);
+  const thousandsSeparator = decimalSeparator === '.' ? ',' : '.';
+
+  const normalized = text
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+
+  if (!/^\d*\.?\d*$/.test(normalized)) {
+    return null;
+  }
+
+  const amount = parseFloat(normalized);
+  if (isNaN(amount)) {
+    return null;
+  }
+
+  return negative ? -amount : amount;
+};
+
+// Convert an amount column to numbers once, before matching. Cells that cannot
+// be parsed keep their original text and are listed as issues, located by the
+// file, sheet and row each row was read from (rowNumbers, see readRunFiles).
+// Without them rows are numbered from 1 under fileLabel.
+export const normalizeAmounts = (rows, amountField, format, fileLabel, rowNumbers = []) => {
+  const issues = [];
+
+  if (!amountField) {
+    return { rows, issues };
+  }
+
+  const normalizedRows = rows.map((row, index) => {
+    const rawValue = row[amountField];
+    const amount = parseMoney(rawValue, format);
+
+    if (amount === null) {
+      const origin = rowNumbers[index];
+      issues.push({
+        'File': origin ? origin.fileName : fileLabel,
+        'Sheet': (origin && origin.sheetName) || '',
+        'Row': origin ? origin.rowNumber : index + 1,
+        'Column': amountField,
+        'Value': String(rawValue)
+      });
+      return row;
+    }
+
+    return rawValue === amount ? row : { ...row, [amountField]: amount };
+  });
+
+  return { rows: normalizedRows, issues };
+};
+
+// Minor units per major unit are 10 ^ decimals: fils and cents use 2, while
+// KWD, BHD and OMR count in thousandths
+export const DEFAULT_CURRENCY_DECIMALS = 2;
+
+export const CURRENCY_PRECISIONS = [
+  { value: 2, label: '2 decimals (AED, SAR, USD)' },
+  { value: 3, label: '3 decimals (KWD, BHD, OMR)' },
+  { value: 0, label: 'No decimals' }
+];
+
+// Amount in whole minor units. Shifting the decimal point in the number's
+// text avoids the binary error of multiplying (1.005 * 1000 = 1004.999...).
+// Halves round away from zero, so refunds round like the payments they undo.
+export const toMinorUnits = (amount, decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  const number = typeof amount === 'number' ? amount : (parseMoney(amount) ?? 0);
+  if (!number) return 0;
+
+  const shifted = Number(`${number}e${decimals}`);
+  const exact = isFinite(shifted) ? shifted : number * Math.pow(10, decimals);
+  return Math.sign(exact) * Math.round(Math.abs(exact));
+};
+
+export const fromMinorUnits = (minorUnits, decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  return minorUnits / Math.pow(10, decimals);
+};
+
+// Round an amount to the currency precision
+export const roundMoney = (amount, decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  return fromMinorUnits(toMinorUnits(amount, decimals), decimals);
+};
+
+// Sum of amounts, added up in minor units so long lists do not drift
+export const sumMoney = (amounts, decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  const total = amounts.reduce((sum, amount) => sum + toMinorUnits(amount, decimals), 0);
+  return fromMinorUnits(total, decimals);
+};
+
+export const subtractMoney = (amount, deduction, decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  return fromMinorUnits(toMinorUnits(amount, decimals) - toMinorUnits(deduction, decimals), decimals);
+};
+
+// Excel number format showing the currency precision, e.g. '#,##0.000'
+export const moneyNumberFormat = (decimals = DEFAULT_CURRENCY_DECIMALS) => {
+  return decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+};
@@ -0,0 +1,122 @@
+import {
+  parseMoney,
+  normalizeAmounts,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  subtractMoney,
+  moneyNumberFormat
+} from './money';
+
+describe('parseMoney', () => {
+  test('keeps numbers and reads blank cells as 0', () => {
+    expect(parseMoney(12.5)).toBe(12.5);
+    expect(parseMoney('')).toBe(0);
+    expect(parseMoney(null)).toBe(0);
+    expect(parseMoney(NaN)).toBeNull();
+  });
+
+  test('strips currency codes, symbols and spaces', () => {
+    expect(parseMoney('AED 1,234.50')).toBe(1234.5);
+    expect(parseMoney('$ 99')).toBe(99);
+    expect(parseMoney('1 234,50 EUR')).toBe(1234.5);
+  });
+
+  test('detects the decimal separator', () => {
+    expect(parseMoney('1.234,50')).toBe(1234.5);
+    expect(parseMoney('1,234')).toBe(1234);
+    expect(parseMoney('12,50')).toBe(12.5);
+    expect(parseMoney('1.234.567')).toBe(1234567);
+  });
+
+  test('follows a fixed format', () => {
+    expect(parseMoney('1,234', 'comma')).toBe(1.234);
+    expect(parseMoney('1.234', 'dot')).toBe(1.234);
+  });
+
+  test('reads accounting, trailing and leading negatives', () => {
+    expect(parseMoney('(150.00)')).toBe(-150);
+    expect(parseMoney('150.00-')).toBe(-150);
+    expect(parseMoney('-150')).toBe(-150);
+  });
+
+  test('returns null for text that is not an amount', () => {
+    expect(parseMoney('abc')).toBeNull();
+    expect(parseMoney('12a')).toBeNull();
+    expect(parseMoney('1.2.3,4,5')).toBeNull();
+    expect(parseMoney({})).toBeNull();
+  });
+});
+
+describe('normalizeAmounts', () => {
+  test('converts amount cells and lists the ones it cannot read', () => {
+    const { rows, issues } = normalizeAmounts(
+      [{ 'Amt': '1,000.50' }, { 'Amt': 'n/a' }, { 'Amt': 7 }],
+      'Amt',
+      'auto',
+      'Submission'
+    );
+
+    expect(rows.map(row => row['Amt'])).toEqual([1000.5, 'n/a', 7]);
+    expect(issues).toEqual([{ 'File': 'Submission', 'Sheet': '', 'Row': 2, 'Column': 'Amt', 'Value': 'n/a' }]);
+  });
+
+  test('locates unreadable cells by the file, sheet and row they were read from', () => {
+    const { issues } = normalizeAmounts(
+      [{ 'Amt': 5 }, { 'Amt': 'n/a' }],
+      'Amt',
+      'auto',
+      'Remittance',
+      [{ fileName: 'march.xlsx', sheetName: 'Paid', rowNumber: 4 }, { fileName: 'april.csv', sheetName: null, rowNumber: 7 }]
+    );
+
+    expect(issues).toEqual([{ 'File': 'april.csv', 'Sheet': '', 'Row': 7, 'Column': 'Amt', 'Value': 'n/a' }]);
+  });
+
+  test('leaves the rows alone without an amount column', () => {
+    const rows = [{ 'Amt': 'x' }];
+    expect(normalizeAmounts(rows, undefined, 'auto', 'Submission')).toEqual({ rows, issues: [] });
+  });
+});
+
+describe('minor units', () => {
+  test('converts without binary rounding errors', () => {
+    expect(toMinorUnits(1.005, 3)).toBe(1005);
+    expect(toMinorUnits(0.29)).toBe(29);
+    expect(toMinorUnits('1,234.56')).toBe(123456);
+    expect(toMinorUnits(-10.1)).toBe(-1010);
+    expect(fromMinorUnits(123456)).toBe(1234.56);
+  });
+
+  test('rounds negative halves away from zero like positive ones', () => {
+    expect(toMinorUnits(-1.005)).toBe(-101);
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(roundMoney(-2.675)).toBe(-2.68);
+    expect(subtractMoney(0, 0.125)).toBe(-0.13);
+  });
+
+  test('rounds to the currency precision', () => {
+    expect(roundMoney(2.675)).toBe(2.68);
+    expect(roundMoney(1.0005, 3)).toBe(1.001);
+    expect(roundMoney(99.5, 0)).toBe(100);
+  });
+
+  test('adds up long lists exactly', () => {
+    expect(sumMoney(Array(10).fill(0.1))).toBe(1);
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney([1.001, 2.002], 3)).toBe(3.003);
+    expect(sumMoney([])).toBe(0);
+  });
+
+  test('subtracts exactly', () => {
+    expect(subtractMoney(100.01, 100)).toBe(0.01);
+    expect(subtractMoney(0.3, 0.1)).toBe(0.2);
+  });
+
+  test('builds the number format for the precision', () => {
+    expect(moneyNumberFormat(2)).toBe('#,##0.00');
+    expect(moneyNumberFormat(3)).toBe('#,##0.000');
+    expect(moneyNumberFormat(0)).toBe('#,##0');
+  });
+});
@@ -0,0 +1,59 @@
+/** @jest-environment node */
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Runs the command-line reconciliation on the .xlsx fixtures in cli/fixtures
+const CLI = join(__dirname, '..', 'cli', 'reconcile.mjs');
+const FIXTURES = join(__dirname, '..', 'cli', 'fixtures');
+
+let outDir;
+
+beforeEach(() => {
+  outDir = mkdtempSync(join(tmpdir(), 'reconcile-'));
+});
+
+afterEach(() => {
+  rmSync(outDir, { recursive: true, force: true });
+});
+
+const runCli = (...args) => execFileSync(process.execPath, [
+  CLI,
+  '--remittance', join(FIXTURES, 'remittance.xlsx'),
+  '--submission', join(FIXTURES, 'submission.xlsx'),
+  '--out', outDir,
+  ...args
+], { encoding: 'utf8', stdio: 'pipe', timeout: 60000 });
+
+const readCsv = (name) => readFileSync(join(outDir, name), 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+
+test('reconciles .xlsx inputs with number and date cells', () => {
+  const output = runCli('--format', 'csv');
+
+  expect(output).toMatch(/Matched 2 and left 1 unmatched of 3 submission rows; 1 orphan remittance rows/);
+  expect(readCsv('matched_records.csv')).toEqual([
+    'Claim ID,Amt,Remit Amt,Rejected Amount,Payment Status,Service Date',
+    'C1,100,90,10,Partially Paid,05/01/2024',
+    'C2,50,50,0,Fully Paid,06/02/2024'
+  ]);
+  expect(readCsv('unmatched_records.csv')).toEqual([
+    'Claim ID,Amt,Service Date',
+    'C3,30.5,07/03/2024'
+  ]);
+});
+
+test('writes .xlsx results by default', () => {
+  const output = runCli();
+
+  expect(output).toContain(join(outDir, 'reconciliation_report.xlsx'));
+  expect(output).toContain(join(outDir, 'matched_records.xlsx'));
+});
+
+test('writes the data checks before failing on their errors', () => {
+  expect(() => runCli('--format', 'csv', '--submission-id', 'Missing')).toThrow(/failed the data checks/);
+  expect(readCsv('data_checks.csv')).toEqual([
+    'Severity,File,Sheet,Row,Column,Value,Issue',
+    'Error,submission.xlsx,,,Missing,,"Submission file has no ""Missing"" column for the claim ID"'
+  ]);
+});
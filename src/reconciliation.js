@@ -0,0 +1,367 @@
+import { readInputFile, listWorkbookSheets, readHeaderPreview, readSubmissionActivities } from './excelUtils';
+import {
+  processMatchedData,
+  createRemittanceMapping,
+  findMatchingRecords,
+  mergeRemittanceBatches,
+  findDuplicatePayments,
+  collectHeaders,
+  rowKey,
+  hasClaimId,
+  rollUpClaims,
+  summarizeDenials,
+  findOrphanRemittances,
+  findDuplicateSubmissions,
+  aggregateDuplicateSubmissions,
+  allocateRemittance,
+  identifyColumns,
+  DEFAULT_DUPLICATE_SUBMISSION_HANDLING
+} from './dataProcessor';
+import { DEFAULT_NORMALIZATION, findPossibleMatches } from './idNormalization';
+import { normalizeAmounts } from './money';
+import { hashBuffer } from './runHistory';
+
+// The reconciliation pipeline without any UI, so it can run in a Web Worker.
+// setDebugInfo receives the same `prev => prev + text` updates as the React
+// state setter, onProgress receives { phase, rows }.
+
+export const inspectWorkbook = (file) => listWorkbookSheets(file);
+
+export const previewHeader = (file, sheetName) => readHeaderPreview(file, sheetName);
+
+// Activities of a Claim.Submission XML submission, for resubmitting claims
+// from a claim-level run; null for other submission files
+export const readActivities = (file) => readSubmissionActivities(file);
+
+// Read every remittance file plus the submission file. inputs:
+// { remittanceFiles: [{ file, sheetNames, header }], submissionFile,
+//   submissionSheetNames, submissionHeader, activityLevel }
+// where header is a header row chosen in the preview, or null to detect it.
+// Files are browser File objects unless another readInput is given, such as
+// the buffer reader of the command-line runner. rowNumbers of the result gives
+// the { fileName, sheetName, rowNumber } each remittance and submission row
+// was read from; rows of XML files have no sheet and are numbered by their
+// position in the file. inputs of the result names
+// each file with the hash of the contents read, for the run history; the hash
+// is null when readInput does not pass the contents on.
+export const readRunFiles = async (inputs, setDebugInfo, onProgress, readInput = readInputFile) => {
+  const { remittanceFiles, submissionFile, submissionSheetNames, submissionHeader, activityLevel } = inputs;
+  let rowsParsed = 0;
+  // Header row used in each file and sheet, kept with the run history
+  const headerRows = [];
+  const fileInputs = [];
+
+  const readFile = async (file, options) => {
+    const rowsBefore = rowsParsed;
+    const phase = `Reading ${file.name}`;
+    onProgress({ phase, rows: rowsBefore });
+
+    // Hashed from the buffer the reader already has, so the file is read once
+    let hash = null;
+    const sheetRows = [];
+    const rows = await readInput(file, setDebugInfo, {
+      ...options,
+      onProgress: (rowCount) => onProgress({ phase, rows: rowsBefore + rowCount }),
+      onHeader: (headerRow) => headerRows.push({ fileName: file.name, ...headerRow }),
+      onRowNumbers: (sheetName, numbers) => {
+        numbers.forEach(rowNumber => sheetRows.push({ fileName: file.name, sheetName, rowNumber }));
+      },
+      onContents: async (buffer) => {
+        // The hash is only for the history, so a page without Web Crypto
+        // (served over plain http) still reads the file
+        try {
+          hash = await hashBuffer(buffer);
+        } catch (error) {
+          setDebugInfo(prev => prev + `Could not hash ${file.name}: ${error.message}\n`);
+        }
+      }
+    });
+    fileInputs.push({ name: file.name, hash });
+
+    rowsParsed = rowsBefore + rows.length;
+    onProgress({ phase, rows: rowsParsed });
+    return {
+      rows,
+      rowNumbers: sheetRows.length === rows.length
+        ? sheetRows
+        : rows.map((row, index) => ({ fileName: file.name, sheetName: null, rowNumber: index + 1 }))
+    };
+  };
+
+  // Read every remittance file and merge them into one dataset
+  const remittanceBatches = [];
+  const remittanceRowNumbers = [];
+  for (const { file, sheetNames, header } of remittanceFiles) {
+    const { rows, rowNumbers } = await readFile(file, { sheetNames, header });
+    remittanceBatches.push({ fileName: file.name, rows });
+    remittanceRowNumbers.push(...rowNumbers);
+  }
+  const remittanceData = mergeRemittanceBatches(remittanceBatches);
+
+  const { rows: submissionData, rowNumbers: submissionRowNumbers } = await readFile(submissionFile, {
+    sheetNames: submissionSheetNames,
+    header: submissionHeader,
+    activityLevel
+  });
+
+  setDebugInfo(prev => prev + `Remittance data: ${remittanceData.length} rows\n`);
+  setDebugInfo(prev => prev + `Submission data: ${submissionData.length} rows\n`);
+
+  if (submissionData.length === 0) {
+    throw new Error(`No rows found in ${submissionFile.name}`);
+  }
+
+  // Find headers
+  onProgress({ phase: 'Detecting columns', rows: rowsParsed });
+  const remittanceHeaders = collectHeaders(remittanceData);
+  const submissionHeaders = Object.keys(submissionData[0]);
+
+  setDebugInfo(prev => prev + `Remittance headers: ${remittanceHeaders.join(', ')}\n`);
+  setDebugInfo(prev => prev + `Submission headers: ${submissionHeaders.join(', ')}\n`);
+
+  return {
+    remittanceData,
+    submissionData,
+    remittanceHeaders,
+    submissionHeaders,
+    headerRows,
+    rowNumbers: { remittance: remittanceRowNumbers, submission: submissionRowNumbers },
+    inputs: { remittanceFiles: fileInputs.slice(0, -1), submissionFile: fileInputs[fileInputs.length - 1] }
+  };
+};
+
+// Column mapping guessed from the headers, before any saved profile or manual override
+export const guessColumnMapping = (remittanceHeaders, submissionHeaders) => {
+  const {
+    amtFieldName,
+    idField: remittanceIdField,
+    referenceField,
+    lineField: remittanceLineField,
+    denialCodeField,
+    denialCommentField
+  } = identifyColumns(remittanceHeaders, 'remittance');
+  const {
+    idField: submissionIdField,
+    amtFieldName: submissionAmtField,
+    lineField: submissionLineField
+  } = identifyColumns(submissionHeaders, 'submission');
+
+  return {
+    remittanceIdField,
+    remittanceAmtField: amtFieldName,
+    remittanceReferenceField: referenceField || '',
+    submissionIdField,
+    submissionAmtField,
+    remittanceLineField: remittanceLineField || '',
+    submissionLineField: submissionLineField || '',
+    remittanceDenialCodeField: denialCodeField || '',
+    remittanceDenialCommentField: denialCommentField || '',
+    normalization: DEFAULT_NORMALIZATION
+  };
+};
+
+// Match a read run with the confirmed column mapping. options:
+// { activityLevel, amountFormat, statusTolerance, currencyDecimals, duplicateSubmissions }
+// where duplicateSubmissions is one of DUPLICATE_SUBMISSION_HANDLINGS
+export const reconcileRun = (run, mapping, options, setDebugInfo, onProgress) => {
+  const {
+    activityLevel,
+    amountFormat,
+    statusTolerance,
+    currencyDecimals,
+    duplicateSubmissions = DEFAULT_DUPLICATE_SUBMISSION_HANDLING
+  } = options;
+  const {
+    remittanceIdField,
+    remittanceAmtField,
+    remittanceReferenceField,
+    remittanceDenialCodeField,
+    remittanceDenialCommentField,
+    submissionIdField,
+    submissionAmtField
+  } = mapping;
+  const remittanceLineField = activityLevel ? mapping.remittanceLineField : undefined;
+  const submissionLineField = activityLevel ? mapping.submissionLineField : undefined;
+  const idRules = mapping.normalization || DEFAULT_NORMALIZATION;
+  // Runs read before rows kept their sheet row numbers have none
+  const rowNumbers = run.rowNumbers || {};
+  const totalRows = run.remittanceData.length + run.submissionData.length;
+  const startPhase = (phase) => onProgress({ phase, rows: totalRows });
+
+  setDebugInfo(prev => prev + `Amount field in remittance file: ${remittanceAmtField}\n`);
+  setDebugInfo(prev => prev + `Using remittance ID field: ${remittanceIdField}\n`);
+  setDebugInfo(prev => prev + `Using submission ID field: ${submissionIdField}\n`);
+  setDebugInfo(prev => prev + `Amount field in submission file: ${submissionAmtField}\n`);
+  if (activityLevel) {
+    setDebugInfo(prev => prev + `Matching activity lines on "${submissionLineField}" (submission) and "${remittanceLineField}" (remittance)\n`);
+  }
+
+  // Read every amount cell once, listing the ones that are not amounts
+  startPhase('Parsing amounts');
+  const {
+    rows: parsedRemittanceData,
+    issues: remittanceAmountIssues
+  } = normalizeAmounts(run.remittanceData, remittanceAmtField, amountFormat, 'Remittance', rowNumbers.remittance);
+  const {
+    rows: parsedSubmissionData,
+    issues: submissionAmountIssues
+  } = normalizeAmounts(run.submissionData, submissionAmtField, amountFormat, 'Submission', rowNumbers.submission);
+  const unparsedAmounts = [...remittanceAmountIssues, ...submissionAmountIssues];
+  setDebugInfo(prev => prev + `Amount cells that could not be parsed: ${unparsedAmounts.length}\n`);
+
+  // Rows sharing a submission ID would each be given the whole remittance
+  // for it, so they are merged first or the remittance is split across them
+  startPhase('Checking duplicate claim IDs');
+  const duplicateSubmissionRows = findDuplicateSubmissions(
+    parsedSubmissionData,
+    submissionIdField,
+    submissionAmtField,
+    submissionLineField,
+    idRules,
+    rowNumbers.submission
+  );
+  setDebugInfo(prev => prev + `Submission rows sharing an ID: ${duplicateSubmissionRows.length} (${duplicateSubmissions})\n`);
+  const submissionData = duplicateSubmissions === 'aggregate'
+    ? aggregateDuplicateSubmissions(
+      parsedSubmissionData,
+      submissionIdField,
+      submissionAmtField,
+      submissionLineField,
+      idRules,
+      currencyDecimals
+    )
+    : parsedSubmissionData;
+
+  // Leave out payments imported twice from different files
+  let remittanceData = parsedRemittanceData;
+  let duplicateRows = [];
+  if (remittanceReferenceField) {
+    startPhase('Checking duplicate payments');
+    ({ uniqueRows: remittanceData, duplicateRows } = findDuplicatePayments(
+      parsedRemittanceData,
+      remittanceIdField,
+      remittanceAmtField,
+      remittanceReferenceField
+    ));
+    setDebugInfo(prev => prev + `Duplicate payments skipped: ${duplicateRows.length}\n`);
+  } else {
+    setDebugInfo(prev => prev + `No payment reference column, duplicate payment check skipped\n`);
+  }
+
+  // Create remittance mapping
+  startPhase('Summing remittance amounts');
+  const {
+    remittanceAmtSumByID,
+    remittanceDenialCodesByID,
+    remittanceDenialCommentsByID
+  } = createRemittanceMapping(
+    remittanceData,
+    remittanceIdField,
+    remittanceAmtField,
+    remittanceLineField,
+    idRules,
+    remittanceDenialCodeField,
+    remittanceDenialCommentField,
+    currencyDecimals
+  );
+
+  // Extract normalized IDs (or claim and line keys) from remittance file
+  // Payments without a claim ID are left out; they are listed as orphans
+  const remittanceIds = new Set(remittanceData
+    .filter(row => hasClaimId(row, remittanceIdField))
+    .map(row => rowKey(row, remittanceIdField, remittanceLineField, idRules)));
+  setDebugInfo(prev => prev + `Unique IDs in remittance file: ${remittanceIds.size}\n`);
+
+  // Find matching and unmatched rows in submission file
+  startPhase('Matching submission rows');
+  const { matchedRows, unmatchedRows } = findMatchingRecords(
+    submissionData,
+    remittanceIds,
+    submissionIdField,
+    submissionLineField,
+    idRules
+  );
+
+  setDebugInfo(prev => prev + `Matched rows count: ${matchedRows.length}\n`);
+  setDebugInfo(prev => prev + `Unmatched rows count: ${unmatchedRows.length}\n`);
+
+  // Payments with no matching submission row
+  startPhase('Finding orphan remittances');
+  const orphanRows = findOrphanRemittances(
+    remittanceData,
+    submissionData,
+    remittanceIdField,
+    submissionIdField,
+    remittanceLineField,
+    submissionLineField,
+    idRules
+  );
+  setDebugInfo(prev => prev + `Orphan remittance rows count: ${orphanRows.length}\n`);
+
+  // Suggest remittance IDs close to the unmatched submission IDs
+  startPhase('Suggesting possible matches');
+  const suggestions = findPossibleMatches(
+    unmatchedRows,
+    submissionIdField,
+    remittanceData,
+    remittanceIdField,
+    submissionData,
+    idRules
+  );
+  setDebugInfo(prev => prev + `Possible matches suggested: ${suggestions.length}\n`);
+
+  // Process matched data to add Remit Amt and Rejected Amount columns
+  startPhase('Calculating rejected amounts');
+  const enhancedMatchedRows = processMatchedData(
+    matchedRows,
+    submissionIdField,
+    remittanceAmtSumByID,
+    submissionAmtField,
+    submissionLineField,
+    idRules,
+    remittanceDenialCodesByID,
+    remittanceDenialCommentsByID,
+    statusTolerance,
+    currencyDecimals,
+    allocateRemittance(
+      matchedRows,
+      remittanceAmtSumByID,
+      submissionIdField,
+      submissionAmtField,
+      submissionLineField,
+      idRules,
+      currencyDecimals
+    )
+  );
+
+  // Rejected amount per denial reason, for the appeals team
+  const denialRows = remittanceDenialCodeField
+    ? summarizeDenials(enhancedMatchedRows, submissionIdField, currencyDecimals)
+    : null;
+
+  // Roll activity lines up to claim level so cut services show per claim
+  const claimRows = activityLevel
+    ? rollUpClaims(
+      enhancedMatchedRows,
+      unmatchedRows,
+      submissionIdField,
+      submissionAmtField,
+      statusTolerance,
+      currencyDecimals
+    )
+    : null;
+
+  return {
+    matchedRows: enhancedMatchedRows,
+    unmatchedRows,
+    orphanRows,
+    duplicateRows,
+    duplicateSubmissionRows,
+    duplicateSubmissionHandling: duplicateSubmissions,
+    unparsedAmounts,
+    claimRows,
+    suggestions,
+    denialRows,
+    submissionRowCount: submissionData.length
+  };
+};
@@ -0,0 +1,45 @@
+/** @jest-environment node */
+import { webcrypto } from 'crypto';
+import { readRunFiles } from './reconciliation';
+
+// Reader that hands its contents on like readInputFile does
+const readInput = async (file, setDebugInfo, options) => {
+  await options.onContents(Buffer.from(file.text));
+  return [{ 'Claim ID': 'C1', 'Amount': 10 }];
+};
+
+const read = (setDebugInfo = () => {}) => readRunFiles({
+  remittanceFiles: [{ file: { name: 'remittance.csv', text: 'a' } }],
+  submissionFile: { name: 'submission.csv', text: 'b' }
+}, setDebugInfo, () => {}, readInput);
+
+// Web Crypto as in the browser; the jest environment does not expose it
+beforeAll(() => {
+  Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('readRunFiles', () => {
+  test('names each input with the SHA-256 of its contents', async () => {
+    const { inputs } = await read();
+
+    expect(inputs).toEqual({
+      remittanceFiles: [{ name: 'remittance.csv', hash: 'ca978112ca1bbdcafac231b39a23dc4da786eff8147c4e72b9807785afee48bb' }],
+      submissionFile: { name: 'submission.csv', hash: '3e23e8160039594a33894f6564e1b1348bbd7a0088d42c4acb73eeaed59c009d' }
+    });
+  });
+
+  test('reads the files without hashes when hashing fails', async () => {
+    jest.spyOn(globalThis.crypto.subtle, 'digest').mockRejectedValue(new Error('not a secure context'));
+    let debugInfo = '';
+
+    const { inputs, submissionData } = await read(update => { debugInfo = update(debugInfo); });
+
+    expect(submissionData).toHaveLength(1);
+    expect(inputs.submissionFile).toEqual({ name: 'submission.csv', hash: null });
+    expect(debugInfo).toContain('Could not hash submission.csv: not a secure context');
+  });
+});
@@ -0,0 +1,34 @@
+import { inspectWorkbook, previewHeader, readActivities, readRunFiles, reconcileRun } from './reconciliation';
+
+// Debug updates are `prev => prev + text`; only the new text is sent back
+const setDebugInfo = (update) => {
+  globalThis.postMessage({ type: 'debug', text: update('') });
+};
+
+const reportProgress = (progress) => {
+  globalThis.postMessage({ type: 'progress', progress });
+};
+
+globalThis.onmessage = async (event) => {
+  const { task, payload } = event.data;
+  
+  try {
+    let result;
+    if (task === 'inspect') {
+      result = await inspectWorkbook(payload.file);
+    } else if (task === 'preview') {
+      result = await previewHeader(payload.file, payload.sheetName);
+    } else if (task === 'activities') {
+      result = await readActivities(payload.file);
+    } else if (task === 'read') {
+      result = await readRunFiles(payload, setDebugInfo, reportProgress);
+    } else if (task === 'reconcile') {
+      result = reconcileRun(payload.run, payload.mapping, payload.options, setDebugInfo, reportProgress);
+    } else {
+      throw new Error(`Unknown task "${task}"`);
+    }
+    globalThis.postMessage({ type: 'result', result });
+  } catch (error) {
+    globalThis.postMessage({ type: 'error', message: error.message });
+  }
+};
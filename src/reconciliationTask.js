@@ -0,0 +1,80 @@
+import { inspectWorkbook, previewHeader, readActivities, readRunFiles, reconcileRun } from './reconciliation';
+
+// Name of the error a task rejects with after it was cancelled
+export const CANCELLED_ERROR = 'AbortError';
+
+const cancelledError = () => {
+  const error = new Error('Run cancelled');
+  error.name = CANCELLED_ERROR;
+  return error;
+};
+
+// Same tasks on the main thread, for environments without Web Workers
+const runInline = (task, payload, setDebugInfo, onProgress) => {
+  if (task === 'inspect') return inspectWorkbook(payload.file);
+  if (task === 'preview') return previewHeader(payload.file, payload.sheetName);
+  if (task === 'activities') return readActivities(payload.file);
+  if (task === 'read') return readRunFiles(payload, setDebugInfo, onProgress);
+  if (task === 'reconcile') {
+    return reconcileRun(payload.run, payload.mapping, payload.options, setDebugInfo, onProgress);
+  }
+  throw new Error(`Unknown task "${task}"`);
+};
+
+// Run a pipeline task ('inspect', 'preview', 'activities', 'read' or 'reconcile')
+// off the main thread.
+// Returns { promise, cancel }; cancel stops the worker and rejects the
+// promise with an AbortError.
+export const startReconciliationTask = (task, payload, { setDebugInfo, onProgress }) => {
+  let worker = null;
+  let cancelled = false;
+  let rejectTask = null;
+  
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    
+    if (typeof Worker === 'undefined') {
+      Promise.resolve()
+        .then(() => runInline(task, payload, setDebugInfo, onProgress))
+        .then(result => !cancelled && resolve(result), error => !cancelled && reject(error));
+      return;
+    }
+    
+    import('./createReconciliationWorker').then(({ default: createReconciliationWorker }) => {
+      if (cancelled) return;
+      
+      worker = createReconciliationWorker();
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'debug') {
+          setDebugInfo(prev => prev + message.text);
+        } else if (message.type === 'progress') {
+          onProgress(message.progress);
+        } else {
+          worker.terminate();
+          if (message.type === 'result') {
+            resolve(message.result);
+          } else {
+            reject(new Error(message.message));
+          }
+        }
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'The background worker failed'));
+      };
+      worker.postMessage({ task, payload });
+    }, reject);
+  });
+  
+  const cancel = () => {
+    if (cancelled) return;
+    cancelled = true;
+    if (worker) {
+      worker.terminate();
+    }
+    rejectTask(cancelledError());
+  };
+  
+  return { promise, cancel };
+};
@@ -0,0 +1,170 @@
+import { XMLBuilder } from 'fast-xml-parser';
+import { parseMoney, sumMoney, DEFAULT_CURRENCY_DECIMALS } from './money';
+import { isDateValue, formatDate } from './dates';
+
+// Resubmission types accepted in Claim.Submission <Resubmission><Type>
+export const RESUBMISSION_TYPES = [
+  { value: 'correction', label: 'Correction' },
+  { value: 'internal complaint', label: 'Internal complaint' },
+  { value: 'legacy', label: 'Legacy' }
+];
+
+export const RESUBMISSION_TYPE_COLUMN = 'Resubmission Type';
+export const RESUBMISSION_COMMENT_COLUMN = 'Resubmission Comment';
+
+// Empty nodes are kept: <Resubmission><Comment> is required even when blank,
+// and optional fields are left out by pickFields instead
+const xmlBuilder = new XMLBuilder({
+  format: true,
+  indentBy: '  '
+});
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// "dd/MM/yyyy HH:mm" as used in e-claim dates
+const CLAIM_DATE_FORMAT = 'dd/mm/yyyy hh:mm';
+
+// Claims with at least one short-paid row, in first-seen order, with the
+// rejected amount and denial codes of their rows totalled per claim
+export const findResubmissionCandidates = (matchedRows, idField, currencyDecimals = DEFAULT_CURRENCY_DECIMALS) => {
+  const claimsByID = new Map();
+
+  matchedRows.forEach(row => {
+    if (!(row['Rejected Amount'] > 0)) return;
+
+    const id = String(row[idField]);
+    if (!claimsByID.has(id)) {
+      claimsByID.set(id, { id, rows: 0, rejectedAmounts: [], denialCodes: [] });
+    }
+    const claim = claimsByID.get(id);
+    claim.rows += 1;
+    claim.rejectedAmounts.push(row['Rejected Amount']);
+    String(row['Denial Codes'] || '').split(',').map(code => code.trim()).forEach(code => {
+      if (code && !claim.denialCodes.includes(code)) claim.denialCodes.push(code);
+    });
+  });
+
+  return Array.from(claimsByID.values()).map(({ rejectedAmounts, ...claim }) => ({
+    ...claim,
+    rejectedAmount: sumMoney(rejectedAmounts, currencyDecimals)
+  }));
+};
+
+// Copy the fields the row has, under their Claim.Submission element names
+const pickFields = (row, fields) => {
+  const element = {};
+  Object.keys(fields).forEach(name => {
+    const value = row[fields[name]];
+    if (!isBlank(value)) {
+      element[name] = isDateValue(value) ? formatDate(value, CLAIM_DATE_FORMAT) : value;
+    }
+  });
+  return element;
+};
+
+// Claim-level rows carry no activities: take them from the Claim.Submission
+// input (read at activity level), keeping the claim row's fields for the
+// claim-level elements the activity rows lack
+export const withClaimActivities = (claimRows, activities, idField) => {
+  const claimsByID = new Map(claimRows.map(row => [String(row[idField]), row]));
+  return activities
+    .filter(activity => claimsByID.has(String(activity['Claim ID'])))
+    .map(activity => ({ ...claimsByID.get(String(activity['Claim ID'])), ...activity, [idField]: activity['Claim ID'] }));
+};
+
+// Build a Claim.Submission document resubmitting the given submission rows.
+// Rows are grouped into claims by idField and each row becomes an Activity, so
+// the rows must be activity lines (lineField set): the schema requires at
+// least one Activity per claim. Column names follow the submission reader
+// (see parseClaimSubmissionXml), so spreadsheet reports only carry the
+// fields they have in common with it.
+export const buildResubmissionXml = (rows, options) => {
+  const { idField, amtField, lineField, type, comment, currencyDecimals = DEFAULT_CURRENCY_DECIMALS } = options;
+  if (!lineField) {
+    throw new Error('Claim.Submission needs the activity lines of each claim; reconcile by activity lines to export a resubmission XML');
+  }
+  const claims = new Map();
+
+  rows.forEach(row => {
+    const id = String(row[idField]);
+    if (!claims.has(id)) {
+      claims.set(id, { first: row, lines: [] });
+    }
+    claims.get(id).lines.push(row);
+  });
+
+  const claimElements = Array.from(claims.entries()).map(([id, { first, lines }]) => {
+    const lineNet = (row) => parseMoney(row[amtField]) ?? 0;
+    const claimElement = {
+      ID: id,
+      ...pickFields(first, {
+        IDPayer: 'IDPayer',
+        MemberID: 'MemberID',
+        PayerID: 'PayerID',
+        ProviderID: 'ProviderID',
+        EmiratesIDNumber: 'EmiratesIDNumber',
+        Gross: 'Gross',
+        PatientShare: 'PatientShare'
+      }),
+      // Activity rows carry the activity Net, the claim Net is their total
+      Net: sumMoney(lines.map(lineNet), currencyDecimals)
+    };
+
+    const encounter = pickFields(first, {
+      FacilityID: 'FacilityID',
+      PatientID: 'PatientID',
+      Start: 'Encounter Start',
+      End: 'Encounter End'
+    });
+    if (Object.keys(encounter).length > 0) {
+      claimElement.Encounter = encounter;
+    }
+
+    if (!isBlank(first['Principal Diagnosis'])) {
+      claimElement.Diagnosis = { Type: 'Principal', Code: first['Principal Diagnosis'] };
+    }
+
+    claimElement.Activity = lines.map(row => ({
+      ID: row[lineField],
+      ...pickFields(row, {
+        Start: 'Activity Start',
+        Type: 'Activity Type',
+        Code: 'Code',
+        Quantity: 'Quantity'
+      }),
+      Net: lineNet(row),
+      ...pickFields(row, {
+        Clinician: 'Clinician',
+        PriorAuthorizationID: 'PriorAuthorizationID'
+      })
+    }));
+
+    claimElement.Resubmission = { Type: type, Comment: comment ?? '' };
+    return claimElement;
+  });
+
+  const first = rows[0] || {};
+  const submission = {
+    'Claim.Submission': {
+      Header: {
+        SenderID: first.ProviderID || first.FacilityID || '',
+        ReceiverID: first.PayerID || first.IDPayer || '',
+        TransactionDate: formatDate(new Date(), CLAIM_DATE_FORMAT),
+        RecordCount: claimElements.length,
+        DispositionFlag: 'PRODUCTION'
+      },
+      Claim: claimElements
+    }
+  };
+
+  return `<?xml version="1.0" encoding="utf-8"?>\n${xmlBuilder.build(submission)}`;
+};
+
+// Excel worklist: the resubmitted rows with the chosen type and comment
+export const buildResubmissionWorklist = (rows, { type, comment }) => {
+  return rows.map(row => ({
+    ...row,
+    [RESUBMISSION_TYPE_COLUMN]: type,
+    [RESUBMISSION_COMMENT_COLUMN]: comment
+  }));
+};
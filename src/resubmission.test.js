@@ -0,0 +1,59 @@
+import { buildResubmissionXml, withClaimActivities } from './resubmission';
+import { parseClaimSubmissionXml } from './excelUtils';
+
+describe('buildResubmissionXml', () => {
+  const rows = [
+    { 'Claim': 'C1', 'Activity': 'A1', 'Code': '99213', 'Amt': 60.1, 'PayerID': 'P1' },
+    { 'Claim': 'C1', 'Activity': 'A2', 'Code': '85025', 'Amt': 40.2, 'PayerID': 'P1' }
+  ];
+  const options = { idField: 'Claim', amtField: 'Amt', lineField: 'Activity', type: 'correction', comment: 'Fixed codes' };
+
+  test('writes one Activity per line and totals the claim Net', () => {
+    const xml = buildResubmissionXml(rows, options);
+
+    expect(xml.match(/<Activity>/g)).toHaveLength(2);
+    expect(xml).toContain('<ID>A1</ID>');
+    expect(xml).toContain('<Code>85025</Code>');
+    expect(xml).toContain('<Net>100.3</Net>');
+    expect(xml).toContain('<ReceiverID>P1</ReceiverID>');
+    expect(xml).toContain('<Comment>Fixed codes</Comment>');
+  });
+
+  test('keeps the required comment element when the comment is empty', () => {
+    const xml = buildResubmissionXml(rows, { ...options, comment: '' });
+
+    expect(xml).toMatch(/<Resubmission>\s*<Type>correction<\/Type>\s*<Comment><\/Comment>\s*<\/Resubmission>/);
+  });
+
+  test('refuses claim-level rows, which have no activities', () => {
+    expect(() => buildResubmissionXml(rows, { ...options, lineField: undefined })).toThrow(/activity lines/);
+  });
+});
+
+
+describe('withClaimActivities', () => {
+  const submission = `
+    <Claim.Submission>
+      <Claim><ID>C1</ID><PayerID>P1</PayerID><Net>100</Net>
+        <Activity><ID>A1</ID><Code>99213</Code><Net>60</Net></Activity>
+        <Activity><ID>A2</ID><Code>85025</Code><Net>40</Net></Activity>
+      </Claim>
+      <Claim><ID>C2</ID><Net>30</Net>
+        <Activity><ID>A3</ID><Net>30</Net></Activity>
+      </Claim>
+    </Claim.Submission>`;
+
+  test('builds the XML of claim-level rows from the activities of the submission', () => {
+    const claimRows = [{ 'Claim': 'C1', 'Amt': 100, 'Principal Diagnosis': 'J06.9' }];
+    const rows = withClaimActivities(claimRows, parseClaimSubmissionXml(submission, true), 'Claim');
+
+    expect(rows.map(row => row['Activity ID'])).toEqual(['A1', 'A2']);
+    expect(rows[0]).toMatchObject({ 'Claim': 'C1', 'Amt': 60, 'Principal Diagnosis': 'J06.9' });
+
+    const xml = buildResubmissionXml(rows, { idField: 'Claim', amtField: 'Amt', lineField: 'Activity ID', type: 'correction', comment: '' });
+    expect(xml.match(/<Activity>/g)).toHaveLength(2);
+    expect(xml).not.toContain('<ID>C2</ID>');
+    expect(xml).toContain('<Net>100</Net>');
+    expect(xml).toContain('<Code>J06.9</Code>');
+  });
+});
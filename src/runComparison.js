@@ -0,0 +1,120 @@
+import { parseMoney, sumMoney, subtractMoney, DEFAULT_CURRENCY_DECIMALS } from './money';
+import { normalizeId, DEFAULT_NORMALIZATION } from './idNormalization';
+
+// Comparison of two reconciliation runs, claim by claim, to see what changed
+// since the previous remittance
+
+export const COMPARISON_CHANGES = [
+  'Newly Paid',
+  'Newly Rejected',
+  'Amount Changed',
+  'Still Outstanding',
+  'Dropped',
+  'Unchanged'
+];
+
+// Payment statuses of matched rows that leave nothing to chase
+const SETTLED_STATUSES = ['Fully Paid', 'Overpaid'];
+
+// State of every claim in one run: Paid, Rejected (short paid, denied or
+// reversed) or Unmatched, with its Remit Amt and Rejected Amount totals.
+// Claims are keyed by their ID under the normalization rules, as in matching.
+const claimStates = ({ result, columns }, normalization) => {
+  const idField = columns.submissionIdField;
+  const decimals = columns.currencyDecimals ?? DEFAULT_CURRENCY_DECIMALS;
+  const claims = new Map();
+
+  const claimFor = (row) => {
+    const id = String(row[idField] ?? '').trim();
+    const key = String(normalizeId(id, normalization));
+    if (!claims.has(key)) {
+      claims.set(key, { id, remitted: [], rejected: [], settled: true, matched: false });
+    }
+    return claims.get(key);
+  };
+
+  result.matchedRows.forEach(row => {
+    const claim = claimFor(row);
+    claim.matched = true;
+    claim.remitted.push(parseMoney(row['Remit Amt']) ?? 0);
+    claim.rejected.push(parseMoney(row['Rejected Amount']) ?? 0);
+    if (!SETTLED_STATUSES.includes(row['Payment Status'])) claim.settled = false;
+  });
+  // At activity level a claim can have matched and unmatched lines
+  result.unmatchedRows.forEach(row => {
+    claimFor(row).settled = false;
+  });
+
+  const states = new Map();
+  claims.forEach((claim, key) => {
+    let state = 'Unmatched';
+    if (claim.matched) state = claim.settled ? 'Paid' : 'Rejected';
+    states.set(key, {
+      id: claim.id,
+      state,
+      remitted: sumMoney(claim.remitted, decimals),
+      rejected: sumMoney(claim.rejected, decimals)
+    });
+  });
+  return states;
+};
+
+const classifyChange = (before, after) => {
+  if (!after) return 'Dropped';
+
+  const amountsChanged = before && (before.remitted !== after.remitted || before.rejected !== after.rejected);
+
+  if (after.state === 'Paid') {
+    if (!before || before.state !== 'Paid') return 'Newly Paid';
+    return amountsChanged ? 'Amount Changed' : 'Unchanged';
+  }
+  if (after.state === 'Rejected') {
+    if (!before || before.state !== 'Rejected') return 'Newly Rejected';
+    return amountsChanged ? 'Amount Changed' : 'Still Outstanding';
+  }
+  return 'Still Outstanding';
+};
+
+// One row per submission claim ID of either run, current claims first.
+// previous and current are saved runs: { result, columns }. Both runs are
+// keyed with the same ID normalization rules (normally the current run's) so
+// "CLM001" and "clm001" are one claim when matching treated them as one.
+export const compareRuns = (previous, current, normalization = DEFAULT_NORMALIZATION) => {
+  const decimals = current.columns.currencyDecimals ?? DEFAULT_CURRENCY_DECIMALS;
+  const before = claimStates(previous, normalization);
+  const after = claimStates(current, normalization);
+  const keys = [...after.keys(), ...[...before.keys()].filter(key => !after.has(key))];
+
+  return keys.map(key => {
+    const previousClaim = before.get(key);
+    const currentClaim = after.get(key);
+    const amount = (claim, field) => (claim ? claim[field] : 0);
+
+    return {
+      // The ID as written in the current run, if it has the claim
+      'Claim ID': (currentClaim || previousClaim).id,
+      'Change': classifyChange(previousClaim, currentClaim),
+      'Previous Status': previousClaim ? previousClaim.state : '',
+      'Current Status': currentClaim ? currentClaim.state : '',
+      'Previous Remit Amt': amount(previousClaim, 'remitted'),
+      'Current Remit Amt': amount(currentClaim, 'remitted'),
+      'Remit Amt Change': subtractMoney(amount(currentClaim, 'remitted'), amount(previousClaim, 'remitted'), decimals),
+      'Previous Rejected Amount': amount(previousClaim, 'rejected'),
+      'Current Rejected Amount': amount(currentClaim, 'rejected'),
+      'Rejected Amount Change': subtractMoney(amount(currentClaim, 'rejected'), amount(previousClaim, 'rejected'), decimals)
+    };
+  });
+};
+
+// Claims and amount changes per kind of change, for the summary sheet
+export const summarizeComparison = (rows, currencyDecimals = DEFAULT_CURRENCY_DECIMALS) => {
+  return COMPARISON_CHANGES.map(change => {
+    const changed = rows.filter(row => row['Change'] === change);
+    return {
+      'Change': change,
+      'Claims': changed.length,
+      'Remit Amt Change': sumMoney(changed.map(row => row['Remit Amt Change']), currencyDecimals),
+      'Rejected Amount Change': sumMoney(changed.map(row => row['Rejected Amount Change']), currencyDecimals)
+    };
+  });
+};
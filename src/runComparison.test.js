@@ -0,0 +1,76 @@
+import { compareRuns, summarizeComparison } from './runComparison';
+import { DEFAULT_NORMALIZATION } from './idNormalization';
+
+const columns = { submissionIdField: 'Claim', currencyDecimals: 2 };
+
+const matched = (claim, remitted, rejected, status) => ({
+  'Claim': claim,
+  'Remit Amt': remitted,
+  'Rejected Amount': rejected,
+  'Payment Status': status
+});
+
+const run = (matchedRows, unmatchedRows = []) => ({ result: { matchedRows, unmatchedRows }, columns });
+
+describe('compareRuns', () => {
+  test('classifies what changed for each claim', () => {
+    const previous = run(
+      [matched('C1', 50, 50, 'Partially Paid'), matched('C2', 80, 20, 'Partially Paid'), matched('C4', 10, 0, 'Fully Paid')],
+      [{ 'Claim': 'C3' }]
+    );
+    const current = run(
+      [matched('C1', 100, 0, 'Fully Paid'), matched('C2', 70, 30, 'Partially Paid'), matched('C3', 0, 40, 'Fully Denied')]
+    );
+
+    const rows = compareRuns(previous, current);
+
+    expect(rows.map(row => [row['Claim ID'], row['Change']])).toEqual([
+      ['C1', 'Newly Paid'],
+      ['C2', 'Amount Changed'],
+      ['C3', 'Newly Rejected'],
+      ['C4', 'Dropped']
+    ]);
+    expect(rows[0]).toMatchObject({ 'Remit Amt Change': 50, 'Rejected Amount Change': -50 });
+  });
+
+  test('keys claims with the ID normalization rules of the run', () => {
+    const previous = run([matched('clm001', 50, 50, 'Partially Paid')]);
+    const current = run([matched(' CLM001', 50, 50, 'Partially Paid')]);
+
+    const rows = compareRuns(previous, current, DEFAULT_NORMALIZATION);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ 'Claim ID': 'CLM001', 'Change': 'Still Outstanding' });
+  });
+
+  test('keeps IDs apart that the rules tell apart', () => {
+    const rules = { ...DEFAULT_NORMALIZATION, caseFold: false };
+    const rows = compareRuns(run([matched('clm001', 50, 0, 'Fully Paid')]), run([matched('CLM001', 50, 0, 'Fully Paid')]), rules);
+
+    expect(rows.map(row => row['Change'])).toEqual(['Newly Paid', 'Dropped']);
+  });
+
+  test('follows leading zero stripping', () => {
+    const rules = { ...DEFAULT_NORMALIZATION, stripLeadingZeros: true };
+    const rows = compareRuns(run([matched('00123', 50, 0, 'Fully Paid')]), run([matched('123', 50, 0, 'Fully Paid')]), rules);
+
+    expect(rows).toEqual([expect.objectContaining({ 'Claim ID': '123', 'Change': 'Unchanged' })]);
+  });
+});
+
+describe('summarizeComparison', () => {
+  test('counts claims and totals the amount changes per kind of change', () => {
+    const summary = summarizeComparison([
+      { 'Change': 'Newly Paid', 'Remit Amt Change': 0.1, 'Rejected Amount Change': -0.1 },
+      { 'Change': 'Newly Paid', 'Remit Amt Change': 0.2, 'Rejected Amount Change': -0.2 }
+    ]);
+
+    expect(summary.find(row => row['Change'] === 'Newly Paid')).toEqual({
+      'Change': 'Newly Paid',
+      'Claims': 2,
+      'Remit Amt Change': 0.3,
+      'Rejected Amount Change': -0.3
+    });
+    expect(summary.find(row => row['Change'] === 'Dropped')['Claims']).toBe(0);
+  });
+});
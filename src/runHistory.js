@@ -0,0 +1,118 @@
+import { parseMoney, sumMoney, DEFAULT_CURRENCY_DECIMALS } from './money';
+
+// Reconciliation runs saved in the browser's IndexedDB. The summaries listed
+// in the History panel and the full result sets live in separate stores so
+// listing runs does not load every result.
+const DB_NAME = 'excelMatcher';
+const DB_VERSION = 1;
+const RUNS_STORE = 'runs';
+const RESULTS_STORE = 'runResults';
+
+// Promise for an IndexedDB request
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Promise resolved once a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const openHistoryDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+    db.createObjectStore(RESULTS_STORE, { keyPath: 'id' });
+  };
+  return requestResult(request);
+};
+
+// Hex SHA-256 of a file's contents, to recognise the same input later
+export const hashBuffer = async (buffer) => {
+  // Web Crypto is only there in secure contexts (https or localhost)
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('Web Crypto is not available on this page');
+  }
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Billed, remitted and rejected totals of a result, for the run summary
+export const runTotals = (result, columns) => {
+  const { submissionAmtField, currencyDecimals = DEFAULT_CURRENCY_DECIMALS } = columns;
+  const amounts = (rows, field) => rows.map(row => parseMoney(row[field]) ?? 0);
+
+  return {
+    billed: sumMoney([
+      ...amounts(result.matchedRows, submissionAmtField),
+      ...amounts(result.unmatchedRows, submissionAmtField)
+    ], currencyDecimals),
+    remitted: sumMoney(amounts(result.matchedRows, 'Remit Amt'), currencyDecimals),
+    rejected: sumMoney(amounts(result.matchedRows, 'Rejected Amount'), currencyDecimals)
+  };
+};
+
+// Save a run. summary: { inputs, level, mapping, headerRows, counts, totals, ... }
+// is listed in the History panel; results holds the result sets, result
+// columns and debug log. Returns the summary with its new id.
+export const saveRun = async (summary, results) => {
+  const db = await openHistoryDb();
+  try {
+    // Runs are keyed by their save time, which also orders them
+    const savedAt = new Date();
+    const record = { ...summary, id: savedAt.getTime(), savedAt: savedAt.toISOString() };
+    const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    transaction.objectStore(RUNS_STORE).add(record);
+    transaction.objectStore(RESULTS_STORE).put({ ...results, id: record.id });
+    await transactionDone(transaction);
+    return record;
+  } finally {
+    db.close();
+  }
+};
+
+// Run summaries, newest first
+export const listRuns = async () => {
+  const db = await openHistoryDb();
+  try {
+    const runs = await requestResult(db.transaction(RUNS_STORE).objectStore(RUNS_STORE).getAll());
+    return runs.sort((a, b) => b.id - a.id);
+  } finally {
+    db.close();
+  }
+};
+
+export const loadRunResults = async (id) => {
+  const db = await openHistoryDb();
+  try {
+    const results = await requestResult(db.transaction(RESULTS_STORE).objectStore(RESULTS_STORE).get(id));
+    if (!results) {
+      throw new Error('The results of this run are no longer stored');
+    }
+    return results;
+  } finally {
+    db.close();
+  }
+};
+
+export const deleteRun = async (id) => {
+  const db = await openHistoryDb();
+  try {
+    const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    transaction.objectStore(RUNS_STORE).delete(id);
+    transaction.objectStore(RESULTS_STORE).delete(id);
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+};
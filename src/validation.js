@@ -0,0 +1,172 @@
+import { parseMoney, isBlankAmount } from './money';
+import { SOURCE_FILE_COLUMN } from './dataProcessor';
+
+// Data quality checks run on both files once they are read and the columns
+// are mapped, before matching. Errors block the run because its numbers would
+// be meaningless; warnings point at rows whose figures may be off.
+
+export const VALIDATION_ERROR = 'Error';
+export const VALIDATION_WARNING = 'Warning';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const issue = (severity, file, sheet, row, column, value, message) => ({
+  'Severity': severity,
+  'File': file,
+  'Sheet': sheet || '',
+  'Row': row,
+  'Column': column || '',
+  'Value': value === undefined || value === null ? '' : String(value),
+  'Issue': message
+});
+
+// Checks of one dataset. Rows are numbered as in the sheet they were read
+// from (rowNumbers, see readRunFiles), or else count the rows of each file
+// from 1.
+const validateDataset = ({
+  rows,
+  rowNumbers = [],
+  headers,
+  label,
+  fileName,
+  idField,
+  amtField,
+  lineField,
+  amountFormat,
+  billed,
+  blankIdMessage
+}) => {
+  const issues = [];
+  const hasColumn = (field) => !!field && headers.includes(field);
+
+  const requireColumn = (field, description) => {
+    if (hasColumn(field)) return true;
+    issues.push(issue(
+      VALIDATION_ERROR, fileName, '', '', field, '',
+      field
+        ? `${label} file has no "${field}" column for the ${description}`
+        : `No ${description} column chosen for the ${label.toLowerCase()} file`
+    ));
+    return false;
+  };
+
+  if (rows.length === 0) {
+    issues.push(issue(VALIDATION_ERROR, fileName, '', '', '', '', `${label} file has no data rows`));
+    return issues;
+  }
+
+  const checkIds = requireColumn(idField, 'claim ID');
+  const checkAmounts = requireColumn(amtField, 'amount');
+  const checkLines = lineField === undefined ? false : requireColumn(lineField, 'activity ID / service code');
+
+  // Remittance rows come from several uploads, so rows are numbered per file
+  const rowCounts = {};
+  let idCount = 0;
+  let amountCount = 0;
+
+  rows.forEach((row, index) => {
+    const origin = rowNumbers[index];
+    const file = origin ? origin.fileName : row[SOURCE_FILE_COLUMN] || fileName;
+    rowCounts[file] = (rowCounts[file] || 0) + 1;
+    const sheet = origin ? origin.sheetName : '';
+    const rowNumber = origin ? origin.rowNumber : rowCounts[file];
+
+    if (checkIds) {
+      if (isBlank(row[idField])) {
+        issues.push(issue(VALIDATION_WARNING, file, sheet, rowNumber, idField, '', blankIdMessage));
+      } else {
+        idCount += 1;
+      }
+    }
+
+    if (checkLines && isBlank(row[lineField])) {
+      issues.push(issue(
+        VALIDATION_WARNING, file, sheet, rowNumber, lineField, '',
+        'Blank activity ID: the line cannot be told apart from other blank lines of the claim'
+      ));
+    }
+
+    if (checkAmounts && billed && isBlankAmount(row[amtField])) {
+      issues.push(issue(
+        VALIDATION_WARNING, file, sheet, rowNumber, amtField, '',
+        'Blank amount: the row is billed as 0'
+      ));
+    } else if (checkAmounts && !isBlankAmount(row[amtField])) {
+      const amount = parseMoney(row[amtField], amountFormat);
+      if (amount === null) {
+        issues.push(issue(
+          VALIDATION_WARNING, file, sheet, rowNumber, amtField, row[amtField],
+          billed
+            ? 'Not a number: the row gets no Rejected Amount or Payment Status'
+            : 'Not a number: the amount is counted as 0'
+        ));
+      } else {
+        amountCount += 1;
+        // Remittances can be negative (reversals); billed amounts should not be
+        if (billed && amount < 0) {
+          issues.push(issue(
+            VALIDATION_WARNING, file, sheet, rowNumber, amtField, row[amtField],
+            'Negative billed amount'
+          ));
+        }
+      }
+    }
+  });
+
+  if (checkIds && idCount === 0) {
+    issues.push(issue(VALIDATION_ERROR, fileName, '', '', idField, '', `No ${label.toLowerCase()} row has a claim ID in "${idField}"`));
+  }
+  if (checkAmounts && amountCount === 0) {
+    issues.push(issue(
+      VALIDATION_ERROR, fileName, '', '', amtField, '',
+      `No ${label.toLowerCase()} row has a readable amount in "${amtField}"; check the amount column`
+    ));
+  }
+
+  return issues;
+};
+
+// Validate a read run (see readRunFiles) against the confirmed column mapping.
+// options: { activityLevel, amountFormat, submissionFileName }. Returns the
+// issues, errors first.
+export const validateRun = (run, mapping, options = {}) => {
+  const { activityLevel, amountFormat = 'auto', submissionFileName = 'Submission' } = options;
+
+  const rowNumbers = run.rowNumbers || {};
+
+  const issues = [
+    ...validateDataset({
+      rows: run.remittanceData,
+      rowNumbers: rowNumbers.remittance,
+      headers: run.remittanceHeaders,
+      label: 'Remittance',
+      fileName: 'Remittance',
+      idField: mapping.remittanceIdField,
+      amtField: mapping.remittanceAmtField,
+      lineField: activityLevel ? mapping.remittanceLineField : undefined,
+      amountFormat,
+      billed: false,
+      blankIdMessage: 'Blank claim ID: the payment cannot be matched and is listed as an orphan'
+    }),
+    ...validateDataset({
+      rows: run.submissionData,
+      rowNumbers: rowNumbers.submission,
+      headers: run.submissionHeaders,
+      label: 'Submission',
+      fileName: submissionFileName,
+      idField: mapping.submissionIdField,
+      amtField: mapping.submissionAmtField,
+      lineField: activityLevel ? mapping.submissionLineField : undefined,
+      amountFormat,
+      billed: true,
+      blankIdMessage: 'Blank claim ID: the row cannot be matched and is listed as unmatched'
+    })
+  ];
+
+  return [
+    ...issues.filter(item => item['Severity'] === VALIDATION_ERROR),
+    ...issues.filter(item => item['Severity'] === VALIDATION_WARNING)
+  ];
+};
+
+export const hasValidationErrors = (issues) => issues.some(item => item['Severity'] === VALIDATION_ERROR);
@@ -0,0 +1,99 @@
+/** @jest-environment node */
+import { validateRun, hasValidationErrors, VALIDATION_ERROR } from './validation';
+import { readRunFiles } from './reconciliation';
+import { readInputBuffer } from './excelUtils';
+
+const mapping = {
+  remittanceIdField: 'Claim ID',
+  remittanceAmtField: 'Paid',
+  submissionIdField: 'Claim ID',
+  submissionAmtField: 'Amount'
+};
+
+// Reads CSV text through the same readers as the app
+const readCsvRun = (remittanceText, submissionText) => readRunFiles({
+  remittanceFiles: [{ file: { name: 'remittance.csv', text: remittanceText } }],
+  submissionFile: { name: 'submission.csv', text: submissionText }
+}, () => {}, () => {}, (file, setDebugInfo, options) => (
+  readInputBuffer(Buffer.from(file.text), file.name, setDebugInfo, options)
+));
+
+describe('validateRun', () => {
+  test('numbers rows as in the sheet they were read from', async () => {
+    const run = await readCsvRun(
+      'Claim ID,Paid\nC1,10\n',
+      'Claims report,\n\nClaim ID,Amount\nC1,10\n\n,20\nC3,abc\n'
+    );
+
+    const issues = validateRun(run, mapping, { submissionFileName: 'submission.csv' });
+
+    expect(issues.map(item => [item['File'], item['Row'], item['Column']])).toEqual([
+      ['submission.csv', 6, 'Claim ID'],
+      ['submission.csv', 7, 'Amount']
+    ]);
+  });
+
+  test('numbers rows read from XML by their position in the file', () => {
+    const run = {
+      remittanceData: [{ 'Claim ID': 'C1', 'Paid': 10 }],
+      remittanceHeaders: ['Claim ID', 'Paid'],
+      submissionData: [{ 'Claim ID': 'C1', 'Amount': 10 }, { 'Claim ID': 'C2', 'Amount': -5 }],
+      submissionHeaders: ['Claim ID', 'Amount']
+    };
+
+    const [negative] = validateRun(run, mapping, { submissionFileName: 'claims.xml' });
+
+    expect(negative).toMatchObject({ 'File': 'claims.xml', 'Sheet': '', 'Row': 2, 'Issue': 'Negative billed amount' });
+  });
+
+  test('gives the sheet name of workbook rows', () => {
+    const run = {
+      remittanceData: [{ 'Claim ID': '', 'Paid': 10 }],
+      remittanceHeaders: ['Claim ID', 'Paid'],
+      submissionData: [{ 'Claim ID': 'C1', 'Amount': 10 }],
+      submissionHeaders: ['Claim ID', 'Amount'],
+      rowNumbers: { remittance: [{ fileName: 'payments.xlsx', sheetName: 'March', rowNumber: 12 }], submission: [null] }
+    };
+
+    const issues = validateRun(run, mapping);
+
+    expect(issues[issues.length - 1]).toMatchObject({ 'File': 'payments.xlsx', 'Sheet': 'March', 'Row': 12, 'Column': 'Claim ID' });
+    expect(issues[issues.length - 1]['Issue']).toMatch(/listed as an orphan/);
+  });
+
+  test('warns that blank submission IDs cannot be matched', async () => {
+    const run = await readCsvRun('Claim ID,Paid\nC1,10\n', 'Claim ID,Amount\nC1,10\n,20\n');
+
+    const [blank] = validateRun(run, mapping);
+
+    expect(blank['Issue']).toBe('Blank claim ID: the row cannot be matched and is listed as unmatched');
+  });
+
+  test('warns about blank billed amounts', () => {
+    const run = {
+      remittanceData: [{ 'Claim ID': 'C1', 'Paid': '' }],
+      remittanceHeaders: ['Claim ID', 'Paid'],
+      submissionData: [{ 'Claim ID': 'C1', 'Amount': 10 }, { 'Claim ID': 'C2', 'Amount': '' }],
+      submissionHeaders: ['Claim ID', 'Amount']
+    };
+
+    const warnings = validateRun(run, mapping).filter(item => item['Column'] === 'Amount');
+
+    expect(warnings).toEqual([expect.objectContaining({ 'Row': 2, 'Issue': 'Blank amount: the row is billed as 0' })]);
+  });
+
+  test('lists errors first and blocks runs with errors', () => {
+    const run = {
+      remittanceData: [{ 'Claim ID': 'C1', 'Paid': 'x' }],
+      remittanceHeaders: ['Claim ID', 'Paid'],
+      submissionData: [{ 'Claim ID': 'C1' }],
+      submissionHeaders: ['Claim ID']
+    };
+
+    const issues = validateRun(run, mapping);
+
+    expect(issues[0]).toMatchObject({ 'Severity': VALIDATION_ERROR, 'Column': 'Paid' });
+    expect(issues[1]).toMatchObject({ 'Severity': VALIDATION_ERROR, 'Column': 'Amount' });
+    expect(hasValidationErrors(issues)).toBe(true);
+  });
+});